@@ -7,150 +7,1528 @@
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('Screenshot Pro installed:', details.reason);
     
-    // Set default settings on first install
+    // Set default settings on first install, and add settings introduced since on update
     if (details.reason === 'install') {
         setDefaultSettings();
+    } else if (details.reason === 'update') {
+        addMissingDefaultSettings();
+    }
+    
+    createContextMenus();
+    syncScheduleAlarms();
+});
+
+// Alarms may be cleared when the browser restarts
+chrome.runtime.onStartup.addListener(() => {
+    syncScheduleAlarms();
+});
+
+// Scheduled captures wake the service worker through their alarms
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+        runSchedule(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length))
+            .catch(error => console.error('Scheduled capture error:', error));
+    }
+});
+
+// Keep alarms in step with the schedules saved from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.schedules &&
+        JSON.stringify(changes.schedules.oldValue) !== JSON.stringify(changes.schedules.newValue)) {
+        syncScheduleAlarms(changes.schedules.newValue || []);
+    }
+});
+
+// Handle context menu entries
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const reportError = error => showErrorNotification('Screenshot Failed', error);
+    
+    switch (info.menuItemId) {
+        case 'capture-all-tabs':
+            openBatchPage({ source: 'tabs', windowId: tab.windowId });
+            break;
+        
+        case 'capture-visible':
+            takeScreenshot({ captureMode: 'visible' }).catch(reportError);
+            break;
+        
+        case 'capture-full-page':
+            takeScreenshot().catch(reportError);
+            break;
+        
+        case 'capture-element':
+            takeScreenshot({
+                captureMode: 'context-element',
+                frameUrl: info.frameId ? info.frameUrl : undefined,
+                srcUrl: info.srcUrl,
+                linkUrl: info.linkUrl
+            }).catch(reportError);
+            break;
+        
+        case 'capture-image':
+            captureImage(tab, info.srcUrl).catch(reportError);
+            break;
+        
+        case 'capture-selection':
+            takeScreenshot({ captureMode: 'selection' }).catch(reportError);
+            break;
     }
 });
 
 // Handle keyboard shortcut commands
 chrome.commands.onCommand.addListener((command) => {
     console.log('Command received:', command);
+    const reportError = error => showErrorNotification('Screenshot Failed', error);
+    
+    switch (command) {
+        case 'take-screenshot':
+            takeScreenshot().catch(reportError);
+            break;
+        case 'capture-preset':
+            captureSelectorPreset().catch(reportError);
+            break;
+        case 'timed-screenshot':
+            takeScreenshot({ captureMode: 'timed' }).catch(reportError);
+            break;
+        case 'capture-visible':
+            takeScreenshot({ captureMode: 'visible' }).catch(reportError);
+            break;
+        case 'capture-region':
+            takeScreenshot({ captureMode: 'region' }).catch(reportError);
+            break;
+        case 'capture-element':
+            takeScreenshot({ captureMode: 'element' }).catch(reportError);
+            break;
+        case 'repeat-last-capture':
+            repeatLastCapture().catch(reportError);
+            break;
+        case 'copy-last-capture':
+            copyLastCapture().catch(error => showErrorNotification('Copy Failed', error));
+            break;
+    }
+});
+
+// Handle extension icon click
+chrome.action.onClicked.addListener((tab) => {
+    console.log('Extension icon clicked for tab:', tab.id);
+    takeScreenshot();
+});
+
+// Handle messages from content scripts and popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    console.log('Background received message:', message);
+    
+    switch (message.action) {
+        case 'takeScreenshot':
+            takeScreenshot(message.options)
+                .then(result => sendResponse({ success: true, data: result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Keep message channel open for async response
+
+        case 'captureTab':
+            captureCurrentTab(sender.tab)
+                .then(result => sendResponse({ success: true, data: result.dataUrl, timing: result.timing }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Keep message channel open for async response
+
+        case 'openViewer':
+            openViewer(message.imageData, message.metadata, claimTransferImages(message.transferId, message.images));
+            sendResponse({ success: true });
+            break;
+
+        case 'addTransferImage':
+            sendResponse({ success: true, data: addTransferImage(message.transferId, message.imageData) });
+            break;
+
+        case 'takeTransferImage':
+            try {
+                sendResponse({ success: true, data: takeTransferImage(message.transferId, message.index) });
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+            break;
+
+        case 'openEditor':
+            openEditor(message.imageData, message.metadata);
+            sendResponse({ success: true });
+            break;
+
+        case 'reportBug':
+            handleBugReport(message.data);
+            sendResponse({ success: true });
+            break;
+
+        case 'getSettings':
+            getSettings()
+                .then(settings => sendResponse({ success: true, data: settings }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'captureBatchTab':
+            captureTabById(message.tabId, message.options)
+                .then(result => sendResponse({ success: true, data: stageCaptureImages(result) }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'captureBatchUrl':
+            captureUrl(message.url, message.options)
+                .then(result => sendResponse({ success: true, data: stageCaptureImages(result) }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'runSchedule':
+            runSchedule(message.scheduleId)
+                .then(entry => sendResponse({ success: true, data: entry }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getHistoryEntry':
+            // Only the main image, Compare has no use for the rest
+            getHistoryEntry(message.id, false)
+                .then(result => sendResponse({ success: true, data: { ...result, images: withoutImageData(result.images) } }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'openHistoryEntry':
+            openHistoryEntry(message.id)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'deleteHistoryEntries':
+            deleteHistoryEntries(message.ids)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'setPageFrozen':
+            setPageFrozen(sender.tab.id, sender.frameId, message.frozen)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'pickHideSelector':
+            pickHideSelector(sender.tab)
+                .then(result => sendResponse({ success: true, data: result }))
+                .catch(error => sendResponse({
+                    success: false,
+                    error: error.message,
+                    cancelled: error.cancelled === true
+                }));
+            return true;
+
+        case 'saveSettings':
+            saveSettings(message.settings)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        default:
+            console.warn('Unknown message action:', message.action);
+            sendResponse({ success: false, error: 'Unknown action' });
+    }
+});
+
+/**
+ * Main screenshot capture function
+ */
+async function takeScreenshot(options = {}) {
+    try {
+        console.log('Starting screenshot capture with options:', options);
+        
+        // Get active tab
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) {
+            throw new Error('No active tab found');
+        }
+        
+        // Get user settings
+        const settings = await getSettings();
+        const captureOptions = { ...settings, ...options };
+        
+        // Start capture process
+        const rawData = await captureTabContent(tab, captureOptions);
+        rawData.pageSource = await capturePageSource(tab, captureOptions);
+        
+        // Process the captured data
+        const processedData = await processScreenshotData(rawData, captureOptions);
+        
+        const historyEntry = await deliverCapture(processedData, captureOptions);
+        await rememberLastCapture(getRepeatOptions(options, processedData.metadata), processedData, historyEntry);
+        return processedData;
+        
+    } catch (error) {
+        console.error('Screenshot capture error:', error);
+        
+        showErrorNotification('Screenshot Failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Tell the user a capture failed, once: cancelled captures and errors already
+ * reported further down stay quiet
+ */
+function showErrorNotification(title, error) {
+    // The user backed out on purpose, nothing to report
+    if (error.cancelled || error.notified) {
+        return;
+    }
+    error.notified = true;
+    
+    try {
+        chrome.notifications.create({
+            type: 'basic',
+            title,
+            message: error.message || 'An error occurred while taking the screenshot'
+        });
+    } catch (notificationError) {
+        console.warn('Could not show notification:', notificationError);
+    }
+}
+
+/**
+ * Hand a processed capture to the user: the history, if every capture is kept, and the viewer.
+ * Resolves with the history entry, or null when the capture was not kept.
+ */
+async function deliverCapture(processedData, captureOptions) {
+    let historyEntry = null;
+    
+    // Keep it for later comparison when every capture goes into the history
+    if (captureOptions.keepCaptureHistory === true) {
+        historyEntry = await addHistoryEntry({ url: processedData.metadata.url }, processedData);
+    }
+    
+    // Open viewer if auto-open is enabled
+    if (captureOptions.autoOpenViewer !== false) {
+        await openViewer(processedData.imageData, processedData.metadata, processedData.images, processedData.pageSource);
+    }
+    
+    return historyEntry;
+}
+
+/**
+ * Save a right-clicked image at its natural resolution, or capture it as shown
+ * on the page when the image file cannot be read (cross-origin without CORS, SVG, blob: URLs)
+ */
+async function captureImage(tab, srcUrl) {
+    let rawData;
+    
+    try {
+        const response = await fetch(srcUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const bitmap = await createImageBitmap(await response.blob());
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        
+        rawData = {
+            imageData: await blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' })),
+            url: tab.url,
+            title: tab.title,
+            // The image itself stands in for the page
+            dimensions: {
+                viewport: { width: tab.width, height: tab.height },
+                page: { width: canvas.width, height: canvas.height }
+            },
+            metadata: { captureType: 'image', srcUrl }
+        };
+    } catch (error) {
+        console.warn('Could not read the image file, capturing it from the page instead:', error);
+        return takeScreenshot({ captureMode: 'context-element', srcUrl });
+    }
+    
+    const settings = await getSettings();
+    const processedData = await processScreenshotData(rawData, settings);
+    const historyEntry = await deliverCapture(processedData, settings);
+    await rememberLastCapture({ captureMode: 'image', srcUrl }, processedData, historyEntry);
+    return processedData;
+}
+
+/**
+ * Last capture
+ * The options to repeat the last capture are kept in local storage, so the
+ * repeat command works after the worker restarts. The image itself only stays
+ * in the worker's memory, or in the history when that keeps every capture.
+ */
+const LAST_CAPTURE_KEY = 'lastCapture';
+let lastCaptureImage = null;
+
+/**
+ * Options that capture the same thing again: picked elements and dragged
+ * regions are reused instead of asking the user again
+ */
+function getRepeatOptions(options, metadata) {
+    const capture = metadata.capture || {};
+    
+    if (capture.element && capture.element.selector) {
+        return { ...options, captureMode: 'selector', selector: capture.element.selector };
+    }
     
-    if (command === 'take-screenshot') {
-        takeScreenshot();
+    if (capture.region && ['region', 'selection'].includes(options.captureMode)) {
+        return { ...options, captureMode: 'region', region: capture.region };
+    }
+    
+    return options;
+}
+
+/**
+ * Store what to repeat and where to find the image, for the repeat and copy commands
+ */
+async function rememberLastCapture(repeatOptions, processedData, historyEntry = null) {
+    lastCaptureImage = processedData.imageData;
+    
+    try {
+        await chrome.storage.local.set({
+            [LAST_CAPTURE_KEY]: {
+                repeatOptions,
+                title: processedData.metadata.title,
+                historyId: historyEntry ? historyEntry.id : null
+            }
+        });
+    } catch (error) {
+        console.warn('Could not store the last capture:', error);
+    }
+}
+
+/**
+ * The stored last capture, rejecting when there is none yet
+ */
+async function getLastCapture() {
+    const { [LAST_CAPTURE_KEY]: lastCapture } = await chrome.storage.local.get(LAST_CAPTURE_KEY);
+    
+    if (!lastCapture) {
+        throw new Error('No previous capture. Take a screenshot first, then use this shortcut.');
+    }
+    
+    return lastCapture;
+}
+
+/**
+ * The last capture's image, from memory or else from its history entry
+ */
+async function getLastCaptureImage(lastCapture) {
+    if (lastCaptureImage) {
+        return lastCaptureImage;
+    }
+    
+    if (lastCapture.historyId) {
+        try {
+            return (await getHistoryEntry(lastCapture.historyId, false)).imageData;
+        } catch (error) {
+            // Cleared from the history since, same as never kept
+        }
+    }
+    
+    throw new Error('The last screenshot is no longer available. Take it again, or keep captures in the history to copy them after the browser restarts.');
+}
+
+/**
+ * Capture the active tab the same way as last time
+ */
+async function repeatLastCapture() {
+    const { repeatOptions } = await getLastCapture();
+    
+    if (repeatOptions.captureMode === 'image') {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return captureImage(tab, repeatOptions.srcUrl);
+    }
+    
+    return takeScreenshot(repeatOptions);
+}
+
+/**
+ * Put the last capture on the clipboard through the active tab, which has focus
+ * after a keyboard shortcut; the service worker has no clipboard of its own
+ */
+async function copyLastCapture() {
+    const lastCapture = await getLastCapture();
+    const imageData = await getLastCaptureImage(lastCapture);
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !isCapturableUrl(tab.url)) {
+        throw new Error('Switch to a web page to copy, browser pages cannot use the clipboard');
+    }
+    
+    const [{ result }] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: writeImageToClipboard,
+        args: [imageData]
+    });
+    
+    if (result !== true) {
+        throw new Error(result || 'Copy failed');
+    }
+    
+    chrome.notifications.create({
+        type: 'basic',
+        title: 'Screenshot Copied',
+        message: `${lastCapture.title || 'The last screenshot'} is on the clipboard`
+    });
+}
+
+/**
+ * Injected into the page: write a PNG data URL to the clipboard, resolving
+ * true or an error message
+ */
+async function writeImageToClipboard(dataUrl) {
+    try {
+        const blob = await (await fetch(dataUrl)).blob();
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        return true;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Capture the element of the first selector preset whose URL pattern matches the active tab
+ */
+async function captureSelectorPreset() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const settings = await getSettings();
+    const presets = settings.selectorPresets || [];
+    const preset = tab && presets.find(item => matchesUrlPattern(tab.url, item.urlPattern));
+    
+    if (!preset) {
+        try {
+            chrome.notifications.create({
+                type: 'basic',
+                title: 'No Selector Preset',
+                message: 'None of your selector presets match this page. Add one in the extension settings.'
+            });
+        } catch (notificationError) {
+            console.warn('Could not show notification:', notificationError);
+        }
+        return null;
+    }
+    
+    return takeScreenshot({
+        captureMode: 'selector',
+        selector: preset.selector,
+        presetName: preset.name
+    });
+}
+
+/**
+ * Match a URL against a pattern where * stands for any run of characters
+ */
+function matchesUrlPattern(url, pattern) {
+    if (!url || !pattern) {
+        return false;
+    }
+    
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    
+    return new RegExp(`^${source}$`, 'i').test(url);
+}
+
+/**
+ * Capture a specific tab for a batch: bring it to the front, wait for it to load
+ * and capture it with the user's settings, without opening the viewer
+ */
+async function captureTabById(tabId, options = {}) {
+    let tab = await chrome.tabs.update(tabId, { active: true });
+    await waitForTabLoad(tabId);
+    
+    // Give the newly shown tab a moment to paint before its first frame is grabbed
+    await sleep(300);
+    tab = await chrome.tabs.get(tabId);
+    
+    const settings = await getSettings();
+    const captureOptions = { ...settings, ...options };
+    
+    const rawData = await captureTabContent(tab, captureOptions);
+    rawData.pageSource = await capturePageSource(tab, captureOptions);
+    return await processScreenshotData(rawData, captureOptions);
+}
+
+/**
+ * Capture a URL for a batch or schedule: load it in a separate unfocused window,
+ * let it settle for settleSeconds, capture it and close the window again.
+ * captureVisibleTab only sees the active tab of a window, and in a window of its
+ * own the page can be that tab without taking over the user's windows.
+ */
+async function captureUrl(url, options = {}) {
+    const { settleSeconds = 0, ...captureOptions } = options;
+    const captureWindow = await chrome.windows.create({
+        url,
+        focused: false,
+        ...await getCaptureWindowSize()
+    });
+    const [tab] = captureWindow.tabs;
+    
+    try {
+        await waitForTabLoad(tab.id);
+        await sleep(settleSeconds * 1000);
+        
+        return await captureTabById(tab.id, captureOptions);
+    } finally {
+        chrome.windows.remove(captureWindow.id).catch(() => {});
+    }
+}
+
+/**
+ * Size of the user's last focused browser window, so pages captured in a window
+ * of their own get a similar viewport; empty when no browser window is open
+ */
+async function getCaptureWindowSize() {
+    try {
+        const { width, height } = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+        return { width, height };
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Resolve once a tab has finished loading, or after timeout ms
+ */
+async function waitForTabLoad(tabId, timeout = 30000) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') {
+        return;
+    }
+    
+    await new Promise((resolve) => {
+        const timer = setTimeout(done, timeout);
+        
+        function listener(updatedTabId, changeInfo) {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                done();
+            }
+        }
+        
+        function done() {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            resolve();
+        }
+        
+        chrome.tabs.onUpdated.addListener(listener);
+    });
+}
+
+/**
+ * Open the batch capture page, e.g. { source: 'tabs', windowId }
+ */
+async function openBatchPage(params) {
+    const url = chrome.runtime.getURL(`batch.html?${new URLSearchParams(params)}`);
+    await chrome.tabs.create({ url, windowId: params.windowId });
+}
+
+// Page context menu entries show on every kind of right-click target, on pages that can be captured
+const PAGE_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'];
+const CAPTURABLE_URL_PATTERNS = ['http://*/*', 'https://*/*', 'file:///*'];
+
+/**
+ * Register the extension's context menu entries
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'capture-all-tabs',
+            title: 'Capture all tabs in this window',
+            contexts: ['action']
+        });
+        
+        const pageEntries = [
+            { id: 'capture-visible', title: 'Capture visible area', contexts: PAGE_MENU_CONTEXTS },
+            { id: 'capture-full-page', title: 'Capture full page', contexts: PAGE_MENU_CONTEXTS },
+            { id: 'capture-element', title: 'Capture this element', contexts: PAGE_MENU_CONTEXTS },
+            { id: 'capture-image', title: 'Capture this image', contexts: ['image'] },
+            { id: 'capture-selection', title: 'Capture selection area', contexts: ['selection'] }
+        ];
+        
+        pageEntries.forEach(entry => {
+            chrome.contextMenus.create({ ...entry, documentUrlPatterns: CAPTURABLE_URL_PATTERNS });
+        });
+    });
+}
+
+/**
+ * Scheduled captures
+ * Each schedule has an alarm named SCHEDULE_ALARM_PREFIX + id. Interval schedules
+ * use a repeating alarm; daily and weekly ones a one-shot alarm that is set again
+ * for the next run each time it fires, so it stays on the wall-clock time.
+ */
+const SCHEDULE_ALARM_PREFIX = 'schedule-';
+const SCHEDULE_MIN_INTERVAL = 15; // minutes
+
+// Scheduled runs share the window, so they take turns
+let scheduleQueue = Promise.resolve();
+
+/**
+ * Create alarms for schedules that lack one and clear alarms of removed schedules
+ */
+async function syncScheduleAlarms(schedules) {
+    if (!schedules) {
+        const settings = await getSettings();
+        schedules = settings.schedules || [];
+    }
+    
+    const alarms = await chrome.alarms.getAll();
+    const alarmNames = new Set(alarms.map(alarm => alarm.name));
+    const scheduleNames = new Set(schedules.map(schedule => SCHEDULE_ALARM_PREFIX + schedule.id));
+    
+    for (const alarm of alarms) {
+        if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !scheduleNames.has(alarm.name)) {
+            await chrome.alarms.clear(alarm.name);
+        }
+    }
+    
+    for (const schedule of schedules) {
+        if (!alarmNames.has(SCHEDULE_ALARM_PREFIX + schedule.id)) {
+            await scheduleNextRun(schedule);
+        }
+    }
+}
+
+/**
+ * Set the alarm for a schedule's next run
+ */
+async function scheduleNextRun(schedule) {
+    const name = SCHEDULE_ALARM_PREFIX + schedule.id;
+    
+    if (schedule.frequency === 'interval') {
+        const minutes = Math.max(SCHEDULE_MIN_INTERVAL, schedule.intervalMinutes || 0);
+        await chrome.alarms.create(name, { delayInMinutes: minutes, periodInMinutes: minutes });
+    } else {
+        await chrome.alarms.create(name, { when: getNextRunTime(schedule) });
+    }
+}
+
+/**
+ * Next time a daily or weekly schedule is due, in ms since the epoch
+ */
+function getNextRunTime(schedule, now = new Date()) {
+    const [hours, minutes] = (schedule.time || '09:00').split(':').map(Number);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    
+    if (schedule.frequency === 'weekly') {
+        next.setDate(next.getDate() + (schedule.weekday - next.getDay() + 7) % 7);
+    }
+    
+    if (next <= now) {
+        next.setDate(next.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    }
+    
+    return next.getTime();
+}
+
+/**
+ * Capture a schedule's page in its own unfocused window, which also works when
+ * the browser runs with no window open, and record the result in the history
+ */
+function runSchedule(scheduleId) {
+    const run = scheduleQueue.then(async () => {
+        const settings = await getSettings();
+        const schedule = (settings.schedules || []).find(item => item.id === scheduleId);
+        
+        if (!schedule) {
+            await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+            throw new Error('Schedule not found');
+        }
+        
+        if (schedule.frequency !== 'interval') {
+            await scheduleNextRun(schedule);
+        }
+        
+        try {
+            const result = await captureUrl(schedule.url, {
+                captureMode: schedule.captureMode,
+                settleSeconds: settings.batchSettleSeconds
+            });
+            return await addHistoryEntry(schedule, result);
+        } catch (error) {
+            console.error('Scheduled capture failed:', error);
+            
+            try {
+                chrome.notifications.create({
+                    type: 'basic',
+                    title: 'Scheduled Screenshot Failed',
+                    message: `${schedule.url}: ${error.message}`
+                });
+            } catch (notificationError) {
+                console.warn('Could not show notification:', notificationError);
+            }
+            
+            return await addHistoryEntry(schedule, null, error);
+        }
+    });
+    
+    scheduleQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Capture history
+ * The index of entries lives under HISTORY_INDEX_KEY in local storage, newest
+ * first; each successful entry's capture is stored under its own key, and each
+ * of its extra images under one more, so the list can be read without loading
+ * every screenshot and no single write grows with the number of tiles.
+ */
+const HISTORY_INDEX_KEY = 'captureHistory';
+const HISTORY_LIMIT = 100;
+
+// History writes read, change and store the whole index, so they run one at a time
+let historyQueue = Promise.resolve();
+
+/**
+ * Run a history write after the ones already queued
+ */
+function queueHistoryWrite(write) {
+    const run = historyQueue.then(write);
+    historyQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Storage key of a history entry's capture
+ */
+function historyDataKey(id) {
+    return `${HISTORY_INDEX_KEY}-${id}`;
+}
+
+/**
+ * Storage keys of everything a history entry keeps: its capture and extra images
+ */
+function historyEntryKeys(entry) {
+    const key = historyDataKey(entry.id);
+    return [key, ...Array.from({ length: entry.imageCount || 0 }, (item, index) => `${key}-${index}`)];
+}
+
+/**
+ * Record a capture from a schedule, or from { url } for a manual capture,
+ * dropping the oldest entries beyond HISTORY_LIMIT
+ */
+function addHistoryEntry(source, result, error = null) {
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        scheduleId: source.id || null,
+        url: source.url,
+        title: result ? result.metadata.title : source.url,
+        filename: result ? result.metadata.filename : null,
+        timestamp: new Date().toISOString(),
+        success: !error,
+        error: error ? error.message : null,
+        imageCount: result ? (result.images || []).length : 0
+    };
+    
+    return queueHistoryWrite(async () => {
+        const { [HISTORY_INDEX_KEY]: history = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+        history.unshift(entry);
+        const dropped = history.splice(HISTORY_LIMIT);
+        
+        // Extra images go one per write, like they travel one per message
+        if (result) {
+            const key = historyDataKey(entry.id);
+            // The settings the capture ran with stay out of storage
+            const { captureOptions, ...metadata } = result.metadata;
+            for (let index = 0; index < entry.imageCount; index++) {
+                await chrome.storage.local.set({ [`${key}-${index}`]: result.images[index].imageData });
+            }
+            await chrome.storage.local.set({ [key]: { ...result, metadata, images: withoutImageData(result.images) } });
+        }
+        await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: history });
+        
+        if (dropped.length > 0) {
+            await chrome.storage.local.remove(dropped.flatMap(historyEntryKeys));
+        }
+        
+        return entry;
+    });
+}
+
+/**
+ * Load a history entry's stored capture: { imageData, metadata, images, pageSource },
+ * leaving out the extra images' data unless includeImages is set
+ */
+async function getHistoryEntry(id, includeImages = true) {
+    const key = historyDataKey(id);
+    const { [key]: result } = await chrome.storage.local.get(key);
+    
+    if (!result) {
+        throw new Error('This capture is no longer stored');
+    }
+    
+    const images = includeImages ? result.images || [] : [];
+    for (let index = 0; index < images.length; index++) {
+        // Entries saved before images had keys of their own still carry them inline
+        if (images[index].imageData) {
+            continue;
+        }
+        
+        const imageKey = `${key}-${index}`;
+        const { [imageKey]: imageData } = await chrome.storage.local.get(imageKey);
+        images[index].imageData = imageData;
+    }
+    
+    return result;
+}
+
+/**
+ * Open a history entry's screenshot in the viewer
+ */
+async function openHistoryEntry(id) {
+    const result = await getHistoryEntry(id);
+    await openViewer(result.imageData, result.metadata, result.images, result.pageSource);
+}
+
+/**
+ * Remove history entries and their images
+ */
+function deleteHistoryEntries(ids) {
+    return queueHistoryWrite(async () => {
+        const { [HISTORY_INDEX_KEY]: history = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+        const deleted = history.filter(entry => ids.includes(entry.id));
+        
+        await chrome.storage.local.set({
+            [HISTORY_INDEX_KEY]: history.filter(entry => !ids.includes(entry.id))
+        });
+        await chrome.storage.local.remove(deleted.flatMap(historyEntryKeys));
+    });
+}
+
+/**
+ * Capture a tab with the configured engine and media emulation and return the raw capture data
+ */
+async function captureTabContent(tab, captureOptions) {
+    // Emulation would restyle the page while the user is still choosing what to capture
+    if (isInteractiveCapture(captureOptions)) {
+        return await captureTabWithEngine(tab, captureOptions);
+    }
+    
+    // One click for documentation screenshots in both color schemes
+    if (captureOptions.colorScheme === 'both') {
+        const light = await captureTabContent(tab, { ...captureOptions, colorScheme: 'light' });
+        const dark = await captureTabContent(tab, { ...captureOptions, colorScheme: 'dark' });
+        return combineColorSchemeCaptures(light, dark);
+    }
+    
+    const emulatedMedia = getEmulatedMedia(captureOptions);
+    if (!emulatedMedia) {
+        return await captureTabWithEngine(tab, captureOptions);
+    }
+    
+    return await withDebugger(tab.id, async (send) => {
+        await send('Emulation.setEmulatedMedia', emulatedMedia);
+        
+        try {
+            // Give the page a moment to restyle, and media listeners to run
+            await sleep(captureOptions.scrollDelay || 500);
+            
+            const rawData = await captureTabWithEngine(tab, captureOptions);
+            rawData.metadata = { ...rawData.metadata, emulatedMedia };
+            return rawData;
+        } finally {
+            await send('Emulation.setEmulatedMedia', { media: '', features: [] });
+        }
+    });
+}
+
+/**
+ * The page's markup at capture time when the pageSource setting asks for it,
+ * as { format: 'html' | 'mhtml', content }, or null. MHTML falls back to the
+ * HTML snapshot until the optional pageCapture permission is granted; failing
+ * to save the source never fails the screenshot.
+ */
+async function capturePageSource(tab, captureOptions) {
+    const format = captureOptions.pageSource;
+    if (format !== 'html' && format !== 'mhtml') {
+        return null;
+    }
+    
+    try {
+        if (format === 'mhtml' && chrome.pageCapture) {
+            const archive = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+            return { format: 'mhtml', content: await archive.text() };
+        }
+        
+        await ensureContentScriptInjected(tab.id);
+        const result = await chrome.tabs.sendMessage(tab.id, { action: 'getPageSource' });
+        if (!result.success) {
+            throw new Error(result.error || 'Could not read the page');
+        }
+        
+        return { format: 'html', content: result.data };
+    } catch (error) {
+        console.warn('Could not save the page source:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether a capture waits for the user to pick, drag or count down first;
+ * repeated captures carry their region or selector and need no input
+ */
+function isInteractiveCapture(captureOptions) {
+    switch (captureOptions.captureMode) {
+        case 'region':
+            return !captureOptions.region;
+        case 'element':
+        case 'context-element':
+        case 'scroll-area':
+        case 'timed':
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Emulation.setEmulatedMedia parameters for a capture, or null to render the page as is
+ */
+function getEmulatedMedia(captureOptions) {
+    const features = [];
+    
+    if (captureOptions.colorScheme === 'light' || captureOptions.colorScheme === 'dark') {
+        features.push({ name: 'prefers-color-scheme', value: captureOptions.colorScheme });
+    }
+    if (captureOptions.reducedMotion === true) {
+        features.push({ name: 'prefers-reduced-motion', value: 'reduce' });
+    }
+    
+    const media = captureOptions.mediaType === 'print' ? 'print' : '';
+    
+    if (!media && features.length === 0) {
+        return null;
+    }
+    
+    return { media, features };
+}
+
+/**
+ * Deliver light and dark captures as one set, with the light page as the main image
+ */
+function combineColorSchemeCaptures(light, dark) {
+    const darkTiles = dark.tiles || [];
+    const darkImages = darkTiles.length > 1
+        ? darkTiles.map(tile => ({
+            label: `Dark · Tile ${tile.index + 1} of ${darkTiles.length}`,
+            suffix: `-dark-tile-${tile.index + 1}`,
+            imageData: tile.imageData,
+            width: tile.width,
+            height: tile.height
+        }))
+        : [{ label: 'Dark', suffix: '-dark', imageData: dark.imageData }];
+    
+    return {
+        ...light,
+        metadata: {
+            ...light.metadata,
+            label: 'Light',
+            suffix: '-light',
+            imageSet: true,
+            colorSchemes: ['light', 'dark'],
+            darkEmulatedMedia: dark.metadata && dark.metadata.emulatedMedia
+        },
+        attachments: [...darkImages, ...(light.attachments || [])]
+    };
+}
+
+/**
+ * Run the capture itself: responsive set, DevTools single shot or the content script engine
+ */
+async function captureTabWithEngine(tab, captureOptions) {
+    const captureMode = captureOptions.captureMode || 'full-page';
+    
+    // Hide rules that apply to this page, for whichever engine runs the capture
+    captureOptions = {
+        ...captureOptions,
+        hideSelectors: getHideSelectors(captureOptions.hideRules, tab.url)
+    };
+    
+    // Breakpoint widths can only be emulated through the debugger
+    if (captureMode === 'responsive') {
+        return await captureResponsiveSet(tab, captureOptions);
+    }
+    
+    // Single-shot DevTools capture, falling back to scroll-and-stitch if the debugger
+    // is unavailable or the page has to be tiled
+    if (captureMode === 'full-page' && captureOptions.captureEngine === 'devtools') {
+        try {
+            return await captureWithDevTools(tab, captureOptions.hideSelectors, captureOptions.oversizeMode);
+        } catch (error) {
+            console.warn('DevTools capture failed, falling back to screenshot engine:', error);
+        }
+    }
+    
+    // Inject content script if needed
+    await ensureContentScriptInjected(tab.id);
+    
+    const result = await chrome.tabs.sendMessage(tab.id, {
+        action: 'startCapture',
+        options: captureOptions
+    });
+    
+    if (!result.success) {
+        const error = new Error(result.error || 'Screenshot capture failed');
+        error.cancelled = result.cancelled === true;
+        throw error;
+    }
+    
+    return await collectCaptureImages(tab.id, result.data);
+}
+
+/**
+ * Fill in the tile and attachment images a content script capture leaves
+ * behind, fetching them one per message
+ */
+async function collectCaptureImages(tabId, rawData) {
+    const tiles = rawData.tiles || [];
+    const parts = [...tiles, ...(rawData.attachments || [])];
+    
+    for (let index = 0; index < parts.length; index++) {
+        // The first tile is the main image
+        if (index === 0 && tiles.length > 0) {
+            parts[index].imageData = rawData.imageData;
+            continue;
+        }
+        
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'takeCaptureImage', index });
+        if (!response || !response.success || !response.data) {
+            throw new Error('Part of the screenshot was lost before it could be collected');
+        }
+        parts[index].imageData = response.data;
+    }
+    
+    return rawData;
+}
+
+/**
+ * Selectors of the hide rules for a page: global rules plus those for its domain and subdomains
+ */
+function getHideSelectors(hideRules = [], url) {
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        // Not a web page, only global rules apply
+    }
+    
+    return hideRules
+        .filter(rule => !rule.domain || hostname === rule.domain || hostname.endsWith(`.${rule.domain}`))
+        .map(rule => rule.selector);
+}
+
+/**
+ * Stylesheet hiding the given selectors, one rule each so an invalid selector only drops itself
+ */
+function buildHideRulesCss(selectors) {
+    return selectors
+        .map(selector => `${selector} { visibility: hidden !important; }`)
+        .join('\n');
+}
+
+/**
+ * Chrome DevTools Protocol capture
+ * Grabs the whole page in one pass with captureBeyondViewport, without scrolling,
+ * so sticky headers are not duplicated and scroll-triggered animations stay put.
+ */
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// send() helpers of the debugger sessions currently attached, by tab id
+const debuggerSessions = new Map();
+
+/**
+ * Run fn with the debugger attached to a tab, always detaching afterwards
+ * fn receives a send(method, params) helper for protocol commands; nested
+ * calls for the same tab share the session that is already attached
+ */
+async function withDebugger(tabId, fn) {
+    if (debuggerSessions.has(tabId)) {
+        return await fn(debuggerSessions.get(tabId));
+    }
+    
+    // An optional permission, asked for where these captures are chosen
+    if (!await chrome.permissions.contains({ permissions: ['debugger'] })) {
+        throw new Error('This capture needs debugger access. Allow it by choosing the capture again in the popup or settings.');
+    }
+    
+    const target = { tabId };
+    await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION);
+    
+    const send = (method, params = {}) => chrome.debugger.sendCommand(target, method, params);
+    debuggerSessions.set(tabId, send);
+    
+    try {
+        return await fn(send);
+    } finally {
+        debuggerSessions.delete(tabId);
+        try {
+            await chrome.debugger.detach(target);
+        } catch (error) {
+            console.warn('Could not detach debugger:', error);
+        }
+    }
+}
+
+/**
+ * Run fn with the hide rules' stylesheet inserted into a tab, for captures that bypass the engine
+ */
+async function withHideRules(tabId, hideSelectors, fn) {
+    const css = buildHideRulesCss(hideSelectors || []);
+    const target = { tabId };
+    
+    if (css) {
+        await chrome.scripting.insertCSS({ target, css });
+    }
+    
+    try {
+        return await fn();
+    } finally {
+        if (css) {
+            await chrome.scripting.removeCSS({ target, css });
+        }
     }
-});
+}
 
-// Handle extension icon click
-chrome.action.onClicked.addListener((tab) => {
-    console.log('Extension icon clicked for tab:', tab.id);
-    takeScreenshot();
-});
+/**
+ * Full-page capture of a tab through the DevTools Protocol, with hide rules applied
+ */
+async function captureWithDevTools(tab, hideSelectors = [], oversizeMode = 'tile') {
+    return await withHideRules(tab.id, hideSelectors, () =>
+        withDebugger(tab.id, (send) => captureFullPageWithProtocol(send, tab, oversizeMode))
+    );
+}
 
-// Handle messages from content scripts and popup
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('Background received message:', message);
+/**
+ * Responsive capture set
+ * Emulates each breakpoint width with device metrics overrides and captures
+ * the full page at that width, optionally adding a side-by-side composite.
+ */
+async function captureResponsiveSet(tab, captureOptions) {
+    const breakpoints = (captureOptions.breakpointPresets || DEFAULT_BREAKPOINT_PRESETS)
+        .filter(breakpoint => breakpoint.width > 0);
     
-    switch (message.action) {
-        case 'takeScreenshot':
-            takeScreenshot(message.options)
-                .then(result => sendResponse({ success: true, data: result }))
-                .catch(error => sendResponse({ success: false, error: error.message }));
-            return true; // Keep message channel open for async response
-
-        case 'captureTab':
-            captureCurrentTab()
-                .then(result => sendResponse({ success: true, data: result }))
-                .catch(error => sendResponse({ success: false, error: error.message }));
-            return true; // Keep message channel open for async response
+    if (breakpoints.length === 0) {
+        throw new Error('No breakpoint presets configured');
+    }
+    
+    const captures = await withHideRules(tab.id, captureOptions.hideSelectors, () =>
+        withDebugger(tab.id, async (send) => {
+            const metrics = await send('Page.getLayoutMetrics');
+            const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+            const results = [];
+            
+            try {
+                for (const breakpoint of breakpoints) {
+                    await send('Emulation.setDeviceMetricsOverride', {
+                        width: breakpoint.width,
+                        height: viewport.clientHeight,
+                        deviceScaleFactor: 0, // keep the screen's pixel ratio
+                        mobile: breakpoint.mobile === true
+                    });
+                    
+                    // Let media queries apply and the layout settle
+                    await sleep(captureOptions.scrollDelay || 500);
+                    
+                    // One image per width for the side-by-side composite, so oversize pages are scaled down
+                    results.push({ breakpoint, capture: await captureFullPageWithProtocol(send, tab, 'downscale') });
+                }
+            } finally {
+                await send('Emulation.clearDeviceMetricsOverride');
+            }
+            
+            return results;
+        })
+    );
+    
+    const images = captures.map(({ breakpoint, capture }) => {
+        const pixelRatio = capture.metadata.devicePixelRatio;
+        return {
+            label: `${breakpoint.name} · ${breakpoint.width}px`,
+            suffix: `-${breakpoint.width}`,
+            imageData: capture.imageData,
+            width: Math.round(capture.dimensions.page.width * pixelRatio),
+            height: Math.round(capture.dimensions.page.height * pixelRatio)
+        };
+    });
+    
+    if (captureOptions.responsiveComposite !== false && images.length > 1) {
+        images.unshift(await buildResponsiveComposite(images));
+    }
+    
+    const [main, ...attachments] = images;
+    const first = captures[0].capture;
+    
+    return {
+        imageData: main.imageData,
+        url: tab.url,
+        title: tab.title,
+        dimensions: first.dimensions,
+        timestamp: first.timestamp,
+        metadata: {
+            captureType: 'responsive',
+            imageSet: true,
+            label: main.label,
+            suffix: main.suffix,
+            breakpoints: captures.map(({ breakpoint, capture }) => ({
+                ...breakpoint,
+                page: capture.dimensions.page
+            })),
+            devicePixelRatio: first.metadata.devicePixelRatio,
+            url: tab.url,
+            title: tab.title,
+            timestamp: first.timestamp
+        },
+        attachments
+    };
+}
 
-        case 'openViewer':
-            openViewer(message.imageData, message.metadata);
-            sendResponse({ success: true });
-            break;
+// Same budget as the engine's ScreenshotEngine.CANVAS_LIMITS
+const CANVAS_MAX_DIMENSION = 16384;
+const CANVAS_MAX_AREA = 16384 * 8192;
 
-        case 'openEditor':
-            openEditor(message.imageData, message.metadata);
-            sendResponse({ success: true });
-            break;
+/**
+ * Lay the breakpoint images out side by side, top aligned and labelled,
+ * scaled down if needed to fit in one canvas
+ */
+async function buildResponsiveComposite(images) {
+    const gap = 40;
+    const header = 56;
+    const bitmaps = await Promise.all(images.map(async image => {
+        const blob = await (await fetch(image.imageData)).blob();
+        return createImageBitmap(blob);
+    }));
+    
+    const fullWidth = bitmaps.reduce((sum, bitmap) => sum + bitmap.width, 0) + gap * (bitmaps.length + 1);
+    const fullHeight = Math.max(...bitmaps.map(bitmap => bitmap.height)) + header + gap;
+    const scale = Math.min(
+        1,
+        CANVAS_MAX_DIMENSION / fullWidth,
+        CANVAS_MAX_DIMENSION / fullHeight,
+        Math.sqrt(CANVAS_MAX_AREA / (fullWidth * fullHeight))
+    );
+    
+    const canvas = new OffscreenCanvas(Math.floor(fullWidth * scale), Math.floor(fullHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#333333';
+    ctx.font = `${Math.max(10, Math.round(24 * scale))}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    
+    let x = gap;
+    bitmaps.forEach((bitmap, index) => {
+        ctx.fillText(images[index].label, x * scale, (header / 2 + gap / 2) * scale);
+        ctx.drawImage(bitmap, x * scale, (header + gap / 2) * scale, bitmap.width * scale, bitmap.height * scale);
+        x += bitmap.width + gap;
+        bitmap.close();
+    });
+    
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    
+    return {
+        label: 'All widths',
+        suffix: '-composite',
+        imageData: await blobToDataUrl(blob),
+        width: canvas.width,
+        height: canvas.height
+    };
+}
 
-        case 'reportBug':
-            handleBugReport(message.data);
-            sendResponse({ success: true });
-            break;
+/**
+ * Read a blob as a data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
 
-        case 'getSettings':
-            getSettings()
-                .then(settings => sendResponse({ success: true, data: settings }))
-                .catch(error => sendResponse({ success: false, error: error.message }));
-            return true;
+/**
+ * Capture the full page on an attached debugger session as one image.
+ * A page beyond the canvas limits is scaled down to fit when oversizeMode is
+ * 'downscale'; otherwise it is refused so the caller can tile it with the engine.
+ */
+async function captureFullPageWithProtocol(send, tab, oversizeMode = 'tile') {
+    const metrics = await send('Page.getLayoutMetrics');
+    const content = metrics.cssContentSize || metrics.contentSize;
+    const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+    
+    const width = Math.ceil(content.width);
+    const height = Math.ceil(content.height);
+    
+    const { result: pixelRatio } = await send('Runtime.evaluate', {
+        expression: 'window.devicePixelRatio',
+        returnByValue: true
+    });
+    const devicePixelRatio = pixelRatio.value || 1;
+    
+    const outputWidth = width * devicePixelRatio;
+    const outputHeight = height * devicePixelRatio;
+    const scale = Math.min(
+        1,
+        CANVAS_MAX_DIMENSION / outputWidth,
+        CANVAS_MAX_DIMENSION / outputHeight,
+        Math.sqrt(CANVAS_MAX_AREA / (outputWidth * outputHeight))
+    );
+    
+    if (scale < 1 && oversizeMode !== 'downscale') {
+        throw new Error(`Page is too large for a single image (${Math.round(outputWidth)}x${Math.round(outputHeight)}px)`);
+    }
+    
+    const { data } = await send('Page.captureScreenshot', {
+        format: 'png',
+        captureBeyondViewport: true,
+        clip: { x: 0, y: 0, width, height, scale }
+    });
+    
+    const dimensions = {
+        viewport: { width: viewport.clientWidth, height: viewport.clientHeight },
+        page: { width, height }
+    };
+    const timestamp = new Date().toISOString();
+    
+    return {
+        imageData: `data:image/png;base64,${data}`,
+        url: tab.url,
+        title: tab.title,
+        dimensions,
+        timestamp,
+        metadata: {
+            ...dimensions,
+            // Pixels per CSS pixel in the image, lower than the screen's when scaled down
+            devicePixelRatio: devicePixelRatio * scale,
+            captureType: 'devtools',
+            url: tab.url,
+            title: tab.title,
+            timestamp
+        }
+    };
+}
 
-        case 'saveSettings':
-            saveSettings(message.settings)
-                .then(() => sendResponse({ success: true }))
-                .catch(error => sendResponse({ success: false, error: error.message }));
-            return true;
+// Injected in order: content.js relies on the classes defined by the others
+const CONTENT_SCRIPT_FILES = [
+    'js/screenshot-engine.js',
+    'js/region-selector.js',
+    'js/element-picker.js',
+    'js/page-snapshot.js',
+    'content.js'
+];
 
-        default:
-            console.warn('Unknown message action:', message.action);
-            sendResponse({ success: false, error: 'Unknown action' });
+/**
+ * Ensure content script is injected in the target tab
+ */
+async function ensureContentScriptInjected(tabId) {
+    try {
+        // Try to ping the content script
+        await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    } catch (error) {
+        // Content script not available, inject it together with its helpers
+        console.log('Injecting content script into tab:', tabId);
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: CONTENT_SCRIPT_FILES
+        });
     }
-});
+}
 
 /**
- * Main screenshot capture function
+ * Let the user pick an element to hide on the page they last used in the settings window,
+ * then bring the settings page back with the element's selector and domain
  */
-async function takeScreenshot(options = {}) {
+async function pickHideSelector(optionsTab) {
+    const tabs = await chrome.tabs.query({ windowId: optionsTab.windowId });
+    const [target] = tabs
+        .filter(tab => tab.id !== optionsTab.id && isCapturableUrl(tab.url))
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    
+    if (!target) {
+        throw new Error('Open the page to pick from in a tab of this window first');
+    }
+    
+    await chrome.tabs.update(target.id, { active: true });
+    
     try {
-        console.log('Starting screenshot capture with options:', options);
-        
-        // Get active tab
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab) {
-            throw new Error('No active tab found');
-        }
-        
-        // Get user settings
-        const settings = await getSettings();
-        const captureOptions = { ...settings, ...options };
-        
-        // Inject content script if needed
-        await ensureContentScriptInjected(tab.id);
-        
-        // Start capture process
-        const result = await chrome.tabs.sendMessage(tab.id, {
-            action: 'startCapture',
-            options: captureOptions
-        });
+        await ensureContentScriptInjected(target.id);
         
+        const result = await chrome.tabs.sendMessage(target.id, { action: 'pickElement' });
         if (!result.success) {
-            throw new Error(result.error || 'Screenshot capture failed');
+            const error = new Error(result.error || 'Element picking failed');
+            error.cancelled = result.cancelled === true;
+            throw error;
         }
         
-        // Process the captured data
-        const processedData = await processScreenshotData(result.data, captureOptions);
-        
-        // Open viewer if auto-open is enabled
-        if (captureOptions.autoOpenViewer !== false) {
-            await openViewer(processedData.imageData, processedData.metadata);
+        return result.data;
+    } finally {
+        await chrome.tabs.update(optionsTab.id, { active: true });
+    }
+}
+
+/**
+ * Hold back or release the page's requestAnimationFrame tickers while it is captured
+ */
+async function setPageFrozen(tabId, frameId, frozen) {
+    await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [frameId || 0] },
+        world: 'MAIN',
+        func: freezePageTickers,
+        args: [frozen]
+    });
+}
+
+/**
+ * Runs in the page's main world: queue requestAnimationFrame callbacks while
+ * frozen and hand them to the real requestAnimationFrame when released
+ */
+function freezePageTickers(frozen) {
+    const key = '__screenshotProFrozenTickers';
+    
+    if (frozen) {
+        if (window[key]) {
+            return;
         }
         
-        return processedData;
-        
-    } catch (error) {
-        console.error('Screenshot capture error:', error);
-        
-        // Show error notification
-        try {
-            chrome.notifications.create({
-                type: 'basic',
-                title: 'Screenshot Failed',
-                message: error.message || 'An error occurred while taking the screenshot'
-            });
-        } catch (notificationError) {
-            console.warn('Could not show notification:', notificationError);
-        }
+        const state = {
+            requestAnimationFrame: window.requestAnimationFrame,
+            cancelAnimationFrame: window.cancelAnimationFrame,
+            queued: new Map(),
+            nextId: 1e9
+        };
+        window[key] = state;
         
-        throw error;
+        window.requestAnimationFrame = (callback) => {
+            const id = state.nextId++;
+            state.queued.set(id, callback);
+            return id;
+        };
+        window.cancelAnimationFrame = (id) => {
+            if (!state.queued.delete(id)) {
+                state.cancelAnimationFrame.call(window, id);
+            }
+        };
+        return;
     }
+    
+    const state = window[key];
+    if (!state) {
+        return;
+    }
+    
+    delete window[key];
+    window.requestAnimationFrame = state.requestAnimationFrame;
+    window.cancelAnimationFrame = state.cancelAnimationFrame;
+    state.queued.forEach(callback => state.requestAnimationFrame.call(window, callback));
 }
 
 /**
- * Ensure content script is injected in the target tab
+ * Whether the extension can script and capture a page at this URL
  */
-async function ensureContentScriptInjected(tabId) {
-    try {
-        // Try to ping the content script
-        await chrome.tabs.sendMessage(tabId, { action: 'ping' });
-    } catch (error) {
-        // Content script not available, inject it
-        console.log('Injecting content script into tab:', tabId);
-        await chrome.scripting.executeScript({
-            target: { tabId },
-            files: ['content.js']
-        });
-    }
+function isCapturableUrl(url) {
+    return /^(https?|file):/.test(url || '');
 }
 
 /**
@@ -164,18 +1542,30 @@ async function processScreenshotData(rawData, options) {
         dimensions: rawData.dimensions,
         format: options.defaultFormat || 'png',
         quality: options.defaultQuality || 'medium',
+        capture: rawData.metadata || {},
         captureOptions: options
     };
     
     // Generate filename
     const filename = generateFilename(metadata, options);
     
+    // Pages too large for one canvas arrive as ordered tiles; the first is the main image
+    const tiles = rawData.tiles || [];
+    const tileImages = tiles.slice(1).map(tile => ({
+        label: `Tile ${tile.index + 1} of ${tiles.length}`,
+        imageData: tile.imageData,
+        width: tile.width,
+        height: tile.height
+    }));
+    
     return {
         imageData: rawData.imageData,
         metadata: {
             ...metadata,
             filename
-        }
+        },
+        images: [...tileImages, ...(rawData.attachments || [])],
+        pageSource: rawData.pageSource || null
     };
 }
 
@@ -231,24 +1621,112 @@ function sanitizeFilename(filename) {
 
 /**
  * Open screenshot viewer in new tab
+ * Extra images (e.g. scroll container contents) are shown alongside the main one
  */
-async function openViewer(imageData, metadata) {
+async function openViewer(imageData, metadata, images = [], pageSource = null) {
     const viewerUrl = chrome.runtime.getURL('viewer.html');
     const tab = await chrome.tabs.create({ url: viewerUrl });
     
     // Wait for tab to load, then send data
-    chrome.tabs.onUpdated.addListener(function listener(tabId, changeInfo) {
+    chrome.tabs.onUpdated.addListener(async function listener(tabId, changeInfo) {
         if (tabId === tab.id && changeInfo.status === 'complete') {
             chrome.tabs.onUpdated.removeListener(listener);
-            chrome.tabs.sendMessage(tab.id, {
+            await chrome.tabs.sendMessage(tab.id, {
                 action: 'loadScreenshot',
                 imageData,
-                metadata
+                metadata,
+                images: withoutImageData(images),
+                pageSource
             });
+            
+            // Extra images follow one per message, together they may not fit in one
+            for (let index = 0; index < images.length; index++) {
+                await chrome.tabs.sendMessage(tab.id, {
+                    action: 'loadScreenshotImage',
+                    index,
+                    imageData: images[index].imageData
+                });
+            }
         }
     });
 }
 
+/**
+ * Image transfers
+ * The extra images of a capture (tiles, breakpoint widths, the dark scheme)
+ * can add up to more than one extension message may carry, so extension pages
+ * exchange them with the worker one per message through this in-memory map.
+ * A transfer is dropped once every image has been taken.
+ */
+const imageTransfers = new Map();
+
+/**
+ * Image descriptions without their data, to send ahead of the images themselves
+ */
+function withoutImageData(images = []) {
+    return images.map(({ imageData, ...image }) => image);
+}
+
+/**
+ * Stage a capture's extra images and return the capture with a transfer id in their place
+ */
+function stageCaptureImages(processedData) {
+    const { images = [], ...capture } = processedData;
+    if (images.length === 0) {
+        return processedData;
+    }
+    
+    const transferId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    imageTransfers.set(transferId, images.map(image => image.imageData));
+    
+    return { ...capture, images: withoutImageData(images), transferId };
+}
+
+/**
+ * Add one image to a transfer, starting a new one without a transferId
+ */
+function addTransferImage(transferId, imageData) {
+    const id = transferId || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    if (!imageTransfers.has(id)) {
+        imageTransfers.set(id, []);
+    }
+    
+    imageTransfers.get(id).push(imageData);
+    return id;
+}
+
+/**
+ * Hand out one staged image, dropping the transfer after its last one
+ */
+function takeTransferImage(transferId, index) {
+    const transfer = imageTransfers.get(transferId);
+    if (!transfer || !transfer[index]) {
+        throw new Error('This image is no longer available');
+    }
+    
+    const imageData = transfer[index];
+    transfer[index] = null;
+    if (transfer.every(item => item === null)) {
+        imageTransfers.delete(transferId);
+    }
+    
+    return imageData;
+}
+
+/**
+ * Put a transfer's images back on their descriptions, taking the transfer over
+ */
+function claimTransferImages(transferId, images = []) {
+    if (!transferId) {
+        return images;
+    }
+    
+    const transfer = imageTransfers.get(transferId) || [];
+    imageTransfers.delete(transferId);
+    
+    return images.map((image, index) => ({ ...image, imageData: transfer[index] }));
+}
+
 /**
  * Open screenshot editor in new tab
  */
@@ -305,62 +1783,169 @@ async function saveSettings(settings) {
 }
 
 /**
- * Capture visible tab using Chrome API
+ * Capture queue
+ * Chrome allows only MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND (2) captureVisibleTab
+ * calls per second, so every capture goes through one queue that spaces the
+ * calls out and retries with backoff when the quota is hit anyway.
  */
-async function captureVisibleTab() {
-    return new Promise((resolve, reject) => {
-        chrome.tabs.captureVisibleTab(null, { format: 'png' }, (dataUrl) => {
-            if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message));
-            } else {
-                resolve(dataUrl);
+const CAPTURE_MIN_INTERVAL = 550; // ms between captureVisibleTab calls
+const CAPTURE_MAX_RETRIES = 4;
+
+let captureQueue = Promise.resolve();
+let lastCaptureTime = 0;
+
+/**
+ * Capture visible tab using Chrome API, through the capture queue
+ * Resolves with the data URL and timing for the frame
+ */
+function captureVisibleTab(windowId, options = { format: 'png' }) {
+    const queuedAt = Date.now();
+    const capture = captureQueue.then(() => captureWithRetry(windowId, options, queuedAt));
+    
+    // A failed capture must not stall the ones queued after it
+    captureQueue = capture.catch(() => {});
+    return capture;
+}
+
+/**
+ * Run one queued capture, backing off on quota errors
+ */
+async function captureWithRetry(windowId, options, queuedAt) {
+    for (let attempt = 1; ; attempt++) {
+        const wait = lastCaptureTime + CAPTURE_MIN_INTERVAL - Date.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+        
+        const startedAt = Date.now();
+        lastCaptureTime = startedAt;
+        
+        try {
+            const dataUrl = await chrome.tabs.captureVisibleTab(windowId, options);
+            const finishedAt = Date.now();
+            
+            return {
+                dataUrl,
+                timing: {
+                    queuedAt,
+                    startedAt,
+                    finishedAt,
+                    waitMs: startedAt - queuedAt,
+                    captureMs: finishedAt - startedAt,
+                    attempts: attempt
+                }
+            };
+        } catch (error) {
+            if (!isCaptureQuotaError(error) || attempt > CAPTURE_MAX_RETRIES) {
+                throw error;
             }
-        });
-    });
+            
+            const backoff = CAPTURE_MIN_INTERVAL * Math.pow(2, attempt - 1);
+            console.warn(`Capture rate limit hit, retrying in ${backoff}ms (attempt ${attempt})`);
+            await sleep(backoff);
+        }
+    }
+}
+
+/**
+ * Whether an error is Chrome's captureVisibleTab rate limit
+ */
+function isCaptureQuotaError(error) {
+    return /MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND/.test(error?.message || '');
+}
+
+/**
+ * Promise-based delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Widths designers check pages at; mobile also turns on touch and viewport meta handling
+ */
+const DEFAULT_BREAKPOINT_PRESETS = [
+    { name: 'Mobile', width: 375, mobile: true },
+    { name: 'Tablet', width: 768, mobile: false },
+    { name: 'Laptop', width: 1280, mobile: false },
+    { name: 'Desktop', width: 1920, mobile: false }
+];
+
+const DEFAULT_SETTINGS = {
+    defaultFormat: 'png',
+    defaultQuality: 'medium',
+    backgroundColor: '#ffffff',
+    resolution: 'original',
+    captureIframes: true,
+    smartScrolling: true,
+    captureEngine: 'scroll',
+    cacheEnabled: true,
+    preloadLazyContent: true,
+    oversizeMode: 'tile',
+    fixedElementsPolicy: 'first',
+    selectorPresets: [],
+    countdownSeconds: 3,
+    batchSettleSeconds: 2,
+    schedules: [],
+    keepCaptureHistory: false,
+    hideRules: [],
+    freezeAnimations: false,
+    breakpointPresets: DEFAULT_BREAKPOINT_PRESETS,
+    responsiveComposite: true,
+    colorScheme: 'page',
+    reducedMotion: false,
+    mediaType: 'screen',
+    scrollDelay: 500,
+    filenameTemplate: 'screenshot-{timestamp}',
+    timestampFormat: 'iso',
+    pageSource: 'none',
+    debugMode: false,
+    autoOpenViewer: true
+};
+
 /**
  * Set default settings on first install
  */
 async function setDefaultSettings() {
-    const defaultSettings = {
-        defaultFormat: 'png',
-        defaultQuality: 'medium',
-        backgroundColor: '#ffffff',
-        resolution: 'original',
-        captureIframes: true,
-        smartScrolling: true,
-        cacheEnabled: true,
-        scrollDelay: 500,
-        filenameTemplate: 'screenshot-{timestamp}',
-        timestampFormat: 'iso',
-        debugMode: false,
-        autoOpenViewer: true
-    };
-
-    await chrome.storage.sync.set(defaultSettings);
+    await chrome.storage.sync.set(DEFAULT_SETTINGS);
     console.log('Default settings initialized');
 }
 
+/**
+ * Store defaults for settings added in newer versions, keeping the user's existing values
+ */
+async function addMissingDefaultSettings() {
+    const settings = await chrome.storage.sync.get(null);
+    const missing = Object.fromEntries(
+        Object.entries(DEFAULT_SETTINGS).filter(([key]) => !(key in settings))
+    );
+    
+    if (Object.keys(missing).length > 0) {
+        await chrome.storage.sync.set(missing);
+        console.log('Added default settings:', Object.keys(missing));
+    }
+}
+
 /**
  * Capture current tab using Chrome API
+ * Uses the requesting tab's window when called from a content script
  */
-async function captureCurrentTab() {
+async function captureCurrentTab(senderTab) {
     try {
         // Get the current active tab
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const [tab] = senderTab
+            ? [senderTab]
+            : await chrome.tabs.query({ active: true, currentWindow: true });
 
         if (!tab) {
             throw new Error('No active tab found');
         }
 
         // Capture the visible area of the tab
-        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+        return await captureVisibleTab(tab.windowId, {
             format: 'png',
             quality: 100
         });
-
-        return dataUrl;
     } catch (error) {
         console.error('Failed to capture tab:', error);
         throw error;
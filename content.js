@@ -3,49 +3,29 @@
  * Handles page interaction and screenshot capture logic
  */
 
-// Try to load screenshot engine, but don't block if it fails
-try {
-    if (!window.ScreenshotEngine && !document.querySelector('script[src*="screenshot-engine.js"]')) {
-        const script = document.createElement('script');
-        script.src = chrome.runtime.getURL('js/screenshot-engine.js');
-        script.id = 'screenshot-engine-script';
-
-        script.onload = () => {
-            if (window.ScreenshotEngine) {
-                try {
-                    screenshotEngine = new window.ScreenshotEngine();
-                    console.log('Screenshot engine initialized successfully');
-                } catch (error) {
-                    console.warn('Failed to initialize screenshot engine:', error);
-                }
-            }
-        };
-
-        script.onerror = () => {
-            console.warn('Failed to load screenshot engine, will use fallback');
-        };
-
-        document.head.appendChild(script);
-    } else if (window.ScreenshotEngine && !screenshotEngine) {
-        try {
-            screenshotEngine = new window.ScreenshotEngine();
-            console.log('Screenshot engine initialized (already loaded)');
-        } catch (error) {
-            console.warn('Failed to initialize existing screenshot engine:', error);
-        }
-    }
-} catch (error) {
-    console.warn('Error setting up screenshot engine:', error);
-}
-
 // Global state
 let isCapturing = false;
 let captureOptions = {};
-let screenshotEngine = null;
+
+// Element last right-clicked, for the "Capture this element" context menu entry
+let contextTarget = null;
+let contextTargetTime = 0;
+const CONTEXT_TARGET_MAX_AGE = 60000; // ms
+
+// Space kept around a text selection when capturing it
+const SELECTION_PADDING = 8;
+
+// Image data of the last capture's tiles and attachments, in that order, until
+// the background fetches them: together they can exceed a single message
+let pendingImages = [];
 
 // Initialize content script
 console.log('Screenshot Pro content script loaded');
 
+document.addEventListener('contextmenu', (event) => {
+    contextTarget = event.target;
+    contextTargetTime = Date.now();
+}, true);
 
 
 // Listen for messages from background script
@@ -64,6 +44,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             }
             
             startScreenshotCapture(message.options)
+                .then(result => sendResponse({ success: true, data: result }))
+                .catch(error => sendResponse({
+                    success: false,
+                    error: error.message,
+                    cancelled: error.cancelled === true
+                }));
+            return true; // Keep message channel open for async response
+            
+        case 'pickElement':
+            pickElementSelector()
+                .then(result => sendResponse({ success: true, data: result }))
+                .catch(error => sendResponse({
+                    success: false,
+                    error: error.message,
+                    cancelled: error.cancelled === true
+                }));
+            return true; // Keep message channel open for async response
+            
+        case 'takeCaptureImage':
+            sendResponse({ success: true, data: pendingImages[message.index] || null });
+            // Each image is handed over once, then released
+            pendingImages[message.index] = null;
+            break;
+            
+        case 'getPageSource':
+            new PageSnapshot().serialize()
                 .then(result => sendResponse({ success: true, data: result }))
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true; // Keep message channel open for async response
@@ -87,9 +93,65 @@ async function startScreenshotCapture(options = {}) {
         // Show capture indicator
         showCaptureIndicator();
 
-        // Use basic screenshot method for reliability
-        const result = await captureBasicScreenshot();
-        return result;
+        // Scroll-and-stitch through the engine, basic capture only if it is unavailable
+        const engine = createScreenshotEngine(options);
+
+        switch (options.captureMode) {
+            case 'scroll-area':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureScrollArea(engine);
+
+            case 'region':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureRegion(engine, options);
+
+            case 'element':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureElement(engine, options);
+
+            case 'context-element':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureContextElement(engine, options);
+
+            case 'selection':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureSelectionArea(engine, options);
+
+            case 'visible':
+                if (!engine) {
+                    return await captureBasicScreenshot();
+                }
+                return await captureWithEngine(engine, () => engine.captureVisible(options));
+
+            case 'timed':
+                await runCountdown(options.countdownSeconds || 3);
+                if (!engine) {
+                    return await captureBasicScreenshot();
+                }
+                return await captureWithEngine(engine, () => engine.captureVisible(options));
+
+            case 'selector':
+                if (!engine) {
+                    throw new Error('Screenshot engine is not available on this page');
+                }
+                return await captureSelector(engine, options);
+
+            default:
+                if (!engine) {
+                    return await captureBasicScreenshot();
+                }
+                return await captureWithEngine(engine, () => engine.captureFullPage(options));
+        }
 
     } catch (error) {
         console.error('Screenshot capture failed:', error);
@@ -100,11 +162,357 @@ async function startScreenshotCapture(options = {}) {
     }
 }
 
+/**
+ * Create a screenshot engine configured from the user's capture settings
+ */
+function createScreenshotEngine(options) {
+    // The engine is injected alongside this script by the background worker
+    if (typeof ScreenshotEngine === 'undefined') {
+        console.warn('Screenshot engine not loaded, will use fallback');
+        return null;
+    }
+
+    try {
+        return new ScreenshotEngine({
+            scrollDelay: options.scrollDelay || 500,
+            cacheEnabled: options.cacheEnabled !== false,
+            debugMode: options.debugMode === true,
+            excludeSelectors: ['#screenshot-capture-indicator'],
+            hideSelectors: options.hideSelectors || []
+        });
+    } catch (error) {
+        console.warn('Failed to initialize screenshot engine:', error);
+        return null;
+    }
+}
+
+/**
+ * Run an engine capture, relaying its progress to the indicator
+ */
+async function captureWithEngine(engine, capture) {
+    const onProgress = (event) => updateCaptureProgress(event.detail.progress);
+    window.addEventListener('screenshotProgress', onProgress);
+
+    try {
+        const result = await capture();
+        const { metadata } = result;
+        const tiles = result.tiles || [];
+        const attachments = result.attachments || [];
+
+        // The first tile is the main image, which travels with the result itself
+        pendingImages = [...tiles, ...attachments].map(part => part.imageData);
+        if (tiles.length > 0) {
+            pendingImages[0] = null;
+        }
+
+        return {
+            imageData: result.imageData,
+            url: window.location.href,
+            title: document.title,
+            dimensions: {
+                viewport: metadata.viewport,
+                page: metadata.page
+            },
+            timestamp: metadata.timestamp,
+            metadata,
+            tiles: tiles.map(({ imageData, ...tile }) => tile),
+            attachments: attachments.map(({ imageData, ...attachment }) => attachment)
+        };
+    } finally {
+        window.removeEventListener('screenshotProgress', onProgress);
+    }
+}
+
+/**
+ * Let the user click an inner scroll container, then capture its full content
+ */
+async function captureScrollArea(engine) {
+    updateCaptureStatus('Click the scroll area to capture (Esc to cancel)');
+    const element = await pickScrollArea(engine);
+
+    updateCaptureStatus('Capturing scroll area...');
+    return await captureWithEngine(engine, () => engine.captureScrollArea(element));
+}
+
+/**
+ * Let the user drag out a rectangle, then capture just that part of the page;
+ * a repeated capture reuses its earlier rectangle
+ */
+async function captureRegion(engine, options) {
+    let rect = options.region;
+    if (!rect) {
+        updateCaptureStatus('Drag to select an area, Enter to capture (Esc to cancel)');
+        rect = await new RegionSelector().select();
+    }
+    if (!rect) {
+        throw createCancelError();
+    }
+
+    updateCaptureStatus('Capturing region...');
+    return await captureWithEngine(engine, () => engine.captureArea(rect, options));
+}
+
+/**
+ * Let the user pick an element on the page, then capture its whole bounding box
+ */
+async function captureElement(engine, options) {
+    updateCaptureStatus('Click an element, ↑/↓ for parent/child (Esc to cancel)');
+    const element = await new ElementPicker().pick();
+    if (!element) {
+        throw createCancelError();
+    }
+
+    updateCaptureStatus('Capturing element...');
+    return await captureWithEngine(engine, () => engine.captureElement(element, options));
+}
+
+/**
+ * Capture the element that was right-clicked, or let the user pick one when
+ * the right-click happened before this script was on the page
+ */
+async function captureContextElement(engine, options) {
+    const element = findContextElement(options);
+    if (!element) {
+        return await captureElement(engine, options);
+    }
+
+    updateCaptureStatus('Capturing element...');
+    return await captureWithEngine(engine, () => engine.captureElement(element, options));
+}
+
+/**
+ * Find the right-clicked element from the tracked target or the context menu's frame, image or link URL
+ */
+function findContextElement(options) {
+    // Right-clicks inside frames never reach this document, so capture the whole frame
+    if (options.frameUrl) {
+        return Array.from(document.querySelectorAll('iframe, frame')).find(frame => frame.src === options.frameUrl) || null;
+    }
+
+    if (contextTarget && contextTarget.isConnected && Date.now() - contextTargetTime < CONTEXT_TARGET_MAX_AGE) {
+        return contextTarget;
+    }
+
+    if (options.srcUrl) {
+        return Array.from(document.images).find(img => img.currentSrc === options.srcUrl || img.src === options.srcUrl) || null;
+    }
+
+    if (options.linkUrl) {
+        return Array.from(document.links).find(link => link.href === options.linkUrl) || null;
+    }
+
+    return null;
+}
+
+/**
+ * Capture the area around the current text selection, without the selection highlight
+ */
+async function captureSelectionArea(engine, options) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        throw new Error('Select something on the page first');
+    }
+
+    const ranges = [];
+    for (let i = 0; i < selection.rangeCount; i++) {
+        ranges.push(selection.getRangeAt(i));
+    }
+
+    const rects = ranges.map(range => range.getBoundingClientRect());
+    const left = Math.min(...rects.map(rect => rect.left));
+    const top = Math.min(...rects.map(rect => rect.top));
+    const right = Math.max(...rects.map(rect => rect.right));
+    const bottom = Math.max(...rects.map(rect => rect.bottom));
+
+    const area = {
+        x: left + window.pageXOffset - SELECTION_PADDING,
+        y: top + window.pageYOffset - SELECTION_PADDING,
+        width: right - left + SELECTION_PADDING * 2,
+        height: bottom - top + SELECTION_PADDING * 2
+    };
+
+    selection.removeAllRanges();
+
+    try {
+        updateCaptureStatus('Capturing selection...');
+        const result = await captureWithEngine(engine, () => engine.captureArea(area, options));
+        result.metadata.captureType = 'selection';
+        return result;
+    } finally {
+        ranges.forEach(range => selection.addRange(range));
+    }
+}
+
+/**
+ * Let the user pick an element and resolve with a selector for it, used for hide rules
+ */
+async function pickElementSelector() {
+    const engine = createScreenshotEngine({});
+    if (!engine) {
+        throw new Error('Screenshot engine is not available on this page');
+    }
+
+    showCaptureIndicator();
+    updateCaptureStatus('Click the element to hide, ↑/↓ for parent/child (Esc to cancel)');
+
+    try {
+        const element = await new ElementPicker().pick();
+        if (!element) {
+            throw createCancelError();
+        }
+
+        return {
+            selector: engine.getElementSelector(element),
+            domain: window.location.hostname
+        };
+    } finally {
+        hideCaptureIndicator();
+    }
+}
+
+/**
+ * Capture the element matching a saved preset's selector
+ */
+async function captureSelector(engine, options) {
+    const element = document.querySelector(options.selector);
+    if (!element) {
+        throw new Error(`No element matches "${options.selector}" on this page`);
+    }
 
+    // Bring the element into view first so content rendered on scroll is in place
+    const rect = element.getBoundingClientRect();
+    await engine.scrollToPosition(rect.left + window.pageXOffset, rect.top + window.pageYOffset);
 
+    updateCaptureStatus(`Capturing ${options.presetName || options.selector}...`);
+    const result = await captureWithEngine(engine, () => engine.captureElement(element, options));
+    result.metadata.preset = options.presetName;
+    return result;
+}
 
+/**
+ * Highlight scroll containers under the cursor and resolve with the clicked one
+ */
+function pickScrollArea(engine) {
+    return new Promise((resolve, reject) => {
+        const highlight = document.createElement('div');
+        highlight.id = 'screenshot-pick-highlight';
+        highlight.style.cssText = `
+            position: fixed;
+            display: none;
+            pointer-events: none;
+            border: 2px solid #007bff;
+            background: rgba(0, 123, 255, 0.1);
+            border-radius: 4px;
+            z-index: 999998;
+        `;
+        document.body.appendChild(highlight);
+
+        const onMouseMove = (event) => {
+            const element = engine.findScrollableAncestor(event.target);
+            if (!element) {
+                highlight.style.display = 'none';
+                return;
+            }
+
+            const rect = element.getBoundingClientRect();
+            highlight.style.display = 'block';
+            highlight.style.left = `${rect.left}px`;
+            highlight.style.top = `${rect.top}px`;
+            highlight.style.width = `${rect.width}px`;
+            highlight.style.height = `${rect.height}px`;
+        };
+
+        // Keep the page from reacting to clicks used for picking
+        const suppress = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+        };
+
+        const onClick = (event) => {
+            suppress(event);
+
+            const element = engine.findScrollableAncestor(event.target);
+            if (!element) {
+                updateCaptureStatus('No scroll area there, try again (Esc to cancel)');
+                return;
+            }
+
+            cleanup();
+            resolve(element);
+        };
+
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                suppress(event);
+                cleanup();
+                reject(createCancelError());
+            }
+        };
+
+        const cleanup = () => {
+            document.removeEventListener('mousemove', onMouseMove, true);
+            document.removeEventListener('mousedown', suppress, true);
+            document.removeEventListener('mouseup', suppress, true);
+            document.removeEventListener('click', onClick, true);
+            document.removeEventListener('keydown', onKeyDown, true);
+            highlight.remove();
+        };
+
+        document.addEventListener('mousemove', onMouseMove, true);
+        document.addEventListener('mousedown', suppress, true);
+        document.addEventListener('mouseup', suppress, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+    });
+}
+
+/**
+ * Count down on the indicator so transient UI (menus, tooltips) can be opened,
+ * then take the indicator off the page before the frame is grabbed
+ */
+function runCountdown(seconds) {
+    return new Promise((resolve, reject) => {
+        let remaining = seconds;
+        let timer = null;
+
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                cleanup();
+                reject(createCancelError());
+            }
+        };
+
+        const cleanup = () => {
+            clearInterval(timer);
+            document.removeEventListener('keydown', onKeyDown, true);
+        };
+
+        const tick = () => {
+            if (remaining === 0) {
+                cleanup();
+                hideCaptureIndicator();
+                resolve();
+                return;
+            }
 
+            updateCaptureStatus(`Capturing in ${remaining}... (Esc to cancel)`);
+            remaining--;
+        };
 
+        document.addEventListener('keydown', onKeyDown, true);
+        tick();
+        timer = setInterval(tick, 1000);
+    });
+}
+
+/**
+ * Error used when the user backs out of an interactive capture
+ */
+function createCancelError() {
+    const error = new Error('Capture cancelled');
+    error.cancelled = true;
+    return error;
+}
 
 /**
  * UI feedback functions
@@ -118,6 +526,7 @@ function showCaptureIndicator() {
             position: fixed;
             top: 20px;
             right: 20px;
+            pointer-events: none;
             background: rgba(0, 123, 255, 0.9);
             color: white;
             padding: 12px 20px;
@@ -152,11 +561,15 @@ function showCaptureIndicator() {
 }
 
 function updateCaptureProgress(progress) {
+    updateCaptureStatus(`Capturing... ${Math.round(progress * 100)}%`);
+}
+
+function updateCaptureStatus(text) {
     const indicator = document.getElementById('screenshot-capture-indicator');
     if (indicator) {
         const span = indicator.querySelector('span');
         if (span) {
-            span.textContent = `Capturing... ${Math.round(progress * 100)}%`;
+            span.textContent = text;
         }
     }
 }
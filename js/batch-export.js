@@ -0,0 +1,218 @@
+/**
+ * Batch Export for Screenshot Pro Extension
+ * Packs batch captures into a ZIP archive or a multi-page PDF
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum as used by ZIP
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in the MS-DOS format used by ZIP headers
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive from [{ name, data: Uint8Array }]
+ * Files are stored uncompressed: PNG and JPEG data is compressed already.
+ */
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const entries = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // local file header signature
+        header.setUint16(4, 20, true); // version needed to extract
+        header.setUint16(6, 0x0800, true); // UTF-8 file names
+        header.setUint16(8, 0, true); // stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, name.length, true);
+        entries.push(header, name, file.data);
+
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true); // central directory signature
+        record.setUint16(4, 20, true); // version made by
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, size, true);
+        record.setUint32(24, size, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true); // local header offset
+        directory.push(record, name);
+
+        offset += header.byteLength + name.length + size;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...entries, ...directory, end], { type: 'application/zip' });
+}
+
+// Largest PDF page side most readers accept (200 inches)
+const PDF_MAX_PAGE_SIZE = 14400;
+
+/**
+ * Build a PDF with one page per image from [{ jpeg: Uint8Array, width, height }]
+ * Pages are sized at 96 DPI, scaled down where a side would exceed PDF_MAX_PAGE_SIZE.
+ */
+function createPdfBlob(pages) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (number) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+    };
+
+    // Objects: 1 catalog, 2 page tree, then a page, its content stream and its image per page
+    const pageObject = (index) => 3 + index * 3;
+    const objectCount = 2 + pages.length * 3;
+
+    write('%PDF-1.4\n%âãÏÓ\n');
+
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    const kids = pages.map((page, index) => `${pageObject(index)} 0 R`).join(' ');
+    startObject(2);
+    write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+    pages.forEach((page, index) => {
+        const number = pageObject(index);
+        const scale = Math.min(0.75, PDF_MAX_PAGE_SIZE / Math.max(page.width, page.height));
+        const width = (page.width * scale).toFixed(2);
+        const height = (page.height * scale).toFixed(2);
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im${index} Do Q`;
+
+        startObject(number);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+              `/Resources << /XObject << /Im${index} ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`);
+
+        startObject(number + 1);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        startObject(number + 2);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+              `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        write(page.jpeg);
+        write('\nendstream\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+    for (let number = 1; number <= objectCount; number++) {
+        write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+/**
+ * Decode a base64 data URL into bytes
+ */
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Re-encode an image data URL as JPEG bytes on a white background, for PDF pages
+ */
+function imageToJpeg(dataUrl, quality = 0.9) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0);
+
+            resolve({
+                jpeg: dataUrlToBytes(canvas.toDataURL('image/jpeg', quality)),
+                width: canvas.width,
+                height: canvas.height
+            });
+        };
+        img.onerror = () => reject(new Error('Failed to load image for PDF export'));
+
+        img.src = dataUrl;
+    });
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
@@ -0,0 +1,554 @@
+/**
+ * Batch Capture Page for Screenshot Pro Extension
+ * Captures open tabs or a list of URLs one after another and exports the results as a ZIP or PDF
+ */
+
+// DOM elements
+let batchTitle, batchSummary, captureModeSelect, startBatchBtn, stopBatchBtn, progressBar, jobList, batchStatus, exportZipBtn, exportPdfBtn;
+let urlSection, urlListInput, loadUrlsBtn, importUrlsBtn, urlFileInput, settleGroup, settleSecondsInput;
+
+// Batch state: one job per page, in capture order
+let batchSource = null;
+let jobs = [];
+let isRunning = false;
+let stopRequested = false;
+
+// Initialize batch page when DOM is loaded
+document.addEventListener('DOMContentLoaded', initializeBatch);
+
+/**
+ * Initialize batch page interface
+ */
+async function initializeBatch() {
+    console.log('Initializing batch capture');
+
+    // Get DOM elements
+    batchTitle = document.getElementById('batchTitle');
+    batchSummary = document.getElementById('batchSummary');
+    captureModeSelect = document.getElementById('captureMode');
+    startBatchBtn = document.getElementById('startBatch');
+    stopBatchBtn = document.getElementById('stopBatch');
+    progressBar = document.getElementById('progressBar');
+    jobList = document.getElementById('jobList');
+    batchStatus = document.getElementById('batchStatus');
+    exportZipBtn = document.getElementById('exportZip');
+    exportPdfBtn = document.getElementById('exportPdf');
+    urlSection = document.getElementById('urlSection');
+    urlListInput = document.getElementById('urlList');
+    loadUrlsBtn = document.getElementById('loadUrls');
+    importUrlsBtn = document.getElementById('importUrls');
+    urlFileInput = document.getElementById('urlFile');
+    settleGroup = document.getElementById('settleGroup');
+    settleSecondsInput = document.getElementById('settleSeconds');
+
+    // Set up event listeners
+    startBatchBtn.addEventListener('click', runBatch);
+    stopBatchBtn.addEventListener('click', () => {
+        stopRequested = true;
+        showStatus('Stopping after the current page...', 'info');
+    });
+    exportZipBtn.addEventListener('click', exportZip);
+    exportPdfBtn.addEventListener('click', exportPdf);
+    loadUrlsBtn.addEventListener('click', () => loadUrlJobs(urlListInput.value));
+    importUrlsBtn.addEventListener('click', () => urlFileInput.click());
+    urlFileInput.addEventListener('change', importUrlFile);
+    settleSecondsInput.addEventListener('change', saveSettleTime);
+
+    try {
+        const params = new URLSearchParams(window.location.search);
+        batchSource = params.get('source');
+
+        switch (batchSource) {
+            case 'tabs':
+                await loadTabJobs(parseInt(params.get('windowId'), 10));
+                break;
+
+            case 'urls':
+                await setupUrlSource();
+                break;
+
+            default:
+                throw new Error('Nothing to capture');
+        }
+    } catch (error) {
+        console.error('Batch setup error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+        startBatchBtn.disabled = true;
+    }
+}
+
+/**
+ * Create a job for every tab in a window
+ */
+async function loadTabJobs(windowId) {
+    batchTitle.textContent = 'Capture All Tabs';
+
+    const tabs = await chrome.tabs.query(isNaN(windowId) ? { currentWindow: true } : { windowId });
+    const currentTab = await chrome.tabs.getCurrent();
+
+    jobs = tabs
+        .filter(tab => !currentTab || tab.id !== currentTab.id)
+        .map(tab => ({
+            tabId: tab.id,
+            title: tab.title || tab.url,
+            url: tab.url,
+            status: isCapturableUrl(tab.url) ? 'pending' : 'skipped',
+            error: isCapturableUrl(tab.url) ? null : 'Browser pages cannot be captured',
+            result: null
+        }));
+
+    const capturable = jobs.filter(job => job.status === 'pending').length;
+    batchSummary.textContent = `${capturable} of ${jobs.length} tabs can be captured`;
+
+    renderJobs();
+}
+
+/**
+ * Show the URL list controls and restore the last list and settle time
+ */
+async function setupUrlSource() {
+    batchTitle.textContent = 'Capture URL List';
+    batchSummary.textContent = 'Paste or import the pages to capture';
+    urlSection.classList.remove('hidden');
+    settleGroup.classList.remove('hidden');
+
+    const response = await sendMessage({ action: 'getSettings' });
+    if (response.success && response.data.batchSettleSeconds !== undefined) {
+        settleSecondsInput.value = response.data.batchSettleSeconds;
+    }
+
+    // The list can outgrow sync storage quotas, so it stays on this device
+    const { batchUrlList } = await chrome.storage.local.get('batchUrlList');
+    if (batchUrlList) {
+        urlListInput.value = batchUrlList;
+        loadUrlJobs(batchUrlList);
+    } else {
+        renderJobs();
+    }
+}
+
+/**
+ * Create a job for every URL in a pasted or imported list
+ */
+function loadUrlJobs(text) {
+    if (isRunning) {
+        return;
+    }
+
+    jobs = parseUrlList(text).map(url => {
+        const valid = isValidPageUrl(url);
+        return {
+            url,
+            title: url,
+            status: valid ? 'pending' : 'skipped',
+            error: valid ? null : 'Not a valid web address',
+            result: null
+        };
+    });
+
+    const capturable = jobs.filter(job => job.status === 'pending').length;
+    batchSummary.textContent = `${capturable} of ${jobs.length} URLs can be captured`;
+    progressBar.style.width = '0';
+
+    chrome.storage.local.set({ batchUrlList: text });
+    setControlsRunning(false);
+    renderJobs();
+}
+
+/**
+ * Extract URLs from text: one per line, # comments and blank lines ignored,
+ * first column of CSV rows
+ */
+function parseUrlList(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.split(',')[0].trim().replace(/^"|"$/g, ''))
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Whether a URL from a list can be opened and captured
+ */
+function isValidPageUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Load a URL list from a text or CSV file
+ */
+async function importUrlFile() {
+    const file = urlFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        urlListInput.value = await file.text();
+        loadUrlJobs(urlListInput.value);
+        showStatus(`Imported ${file.name}`, 'success');
+    } catch (error) {
+        console.error('URL import error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        urlFileInput.value = '';
+    }
+}
+
+/**
+ * Remember the settle time for the next run
+ */
+async function saveSettleTime() {
+    const seconds = Math.min(60, Math.max(0, parseFloat(settleSecondsInput.value) || 0));
+    settleSecondsInput.value = seconds;
+
+    await sendMessage({
+        action: 'saveSettings',
+        settings: { batchSettleSeconds: seconds }
+    });
+}
+
+/**
+ * Whether a page can be captured by the extension
+ */
+function isCapturableUrl(url) {
+    return /^(https?|file):/.test(url || '');
+}
+
+/**
+ * Capture every pending or failed job in order
+ */
+async function runBatch() {
+    if (isRunning) {
+        return;
+    }
+
+    if (batchSource === 'urls' && jobs.length === 0) {
+        loadUrlJobs(urlListInput.value);
+    }
+
+    // Pages the user never clicked the extension on need host access
+    const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+    if (!granted) {
+        showStatus('Page access is needed to capture other tabs', 'error');
+        return;
+    }
+
+    const queue = jobs.filter(job => job.status === 'pending' || job.status === 'failed');
+    if (queue.length === 0) {
+        showStatus('Nothing left to capture', 'info');
+        return;
+    }
+
+    isRunning = true;
+    stopRequested = false;
+    setControlsRunning(true);
+    chrome.action.setBadgeBackgroundColor({ color: '#667eea' });
+
+    let completed = 0;
+    updateProgress(completed, queue.length);
+
+    for (const job of queue) {
+        if (stopRequested) {
+            break;
+        }
+
+        setJobStatus(job, 'capturing');
+
+        try {
+            const response = await captureJob(job);
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Screenshot failed');
+            }
+
+            job.result = await receiveCaptureImages(response.data);
+            job.title = job.result.metadata.title || job.title;
+            job.error = null;
+            setJobStatus(job, 'done');
+        } catch (error) {
+            console.error('Batch capture error:', error);
+            job.error = error.message;
+            setJobStatus(job, 'failed');
+        }
+
+        completed++;
+        updateProgress(completed, queue.length);
+    }
+
+    isRunning = false;
+    setControlsRunning(false);
+    chrome.action.setBadgeText({ text: '' });
+
+    // Bring the results back into view
+    const currentTab = await chrome.tabs.getCurrent();
+    if (currentTab) {
+        await chrome.tabs.update(currentTab.id, { active: true });
+    }
+
+    const done = jobs.filter(job => job.status === 'done').length;
+    const failed = jobs.filter(job => job.status === 'failed').length;
+    showStatus(`${done} captured, ${failed} failed`, failed ? 'error' : 'success');
+}
+
+/**
+ * Capture one job: an open tab, or a URL loaded in a window of its own
+ */
+function captureJob(job) {
+    const options = { captureMode: captureModeSelect.value };
+
+    if (job.tabId !== undefined) {
+        return sendMessage({ action: 'captureBatchTab', tabId: job.tabId, options });
+    }
+
+    options.settleSeconds = parseFloat(settleSecondsInput.value) || 0;
+    return sendMessage({ action: 'captureBatchUrl', url: job.url, options });
+}
+
+/**
+ * Fetch a capture's extra images, which the worker sends one per message
+ * because together they may not fit in one
+ */
+async function receiveCaptureImages(result) {
+    const { transferId, ...capture } = result;
+    if (!transferId) {
+        return result;
+    }
+
+    for (let index = 0; index < capture.images.length; index++) {
+        const response = await sendMessage({ action: 'takeTransferImage', transferId, index });
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Failed to receive the screenshot');
+        }
+        capture.images[index].imageData = response.data;
+    }
+
+    return capture;
+}
+
+/**
+ * Hand a capture's extra images to the worker one per message and open the viewer
+ */
+async function openJobInViewer(result) {
+    let transferId;
+    for (const image of result.images || []) {
+        const response = await sendMessage({ action: 'addTransferImage', transferId, imageData: image.imageData });
+        transferId = response.data;
+    }
+
+    await sendMessage({
+        action: 'openViewer',
+        imageData: result.imageData,
+        metadata: result.metadata,
+        images: (result.images || []).map(({ imageData, ...image }) => image),
+        transferId
+    });
+}
+
+/**
+ * Toggle the controls while a batch runs
+ */
+function setControlsRunning(running) {
+    startBatchBtn.disabled = running;
+    stopBatchBtn.disabled = !running;
+    captureModeSelect.disabled = running;
+    settleSecondsInput.disabled = running;
+    urlListInput.disabled = running;
+    loadUrlsBtn.disabled = running;
+    importUrlsBtn.disabled = running;
+
+    const hasResults = jobs.some(job => job.status === 'done');
+    exportZipBtn.disabled = running || !hasResults;
+    exportPdfBtn.disabled = running || !hasResults;
+}
+
+/**
+ * Update the progress bar and the toolbar badge
+ */
+function updateProgress(completed, total) {
+    const percent = Math.round(completed / total * 100);
+    progressBar.style.width = `${percent}%`;
+    chrome.action.setBadgeText({ text: `${percent}%` });
+}
+
+/**
+ * Update a job's status and its row
+ */
+function setJobStatus(job, status) {
+    job.status = status;
+    renderJobs();
+}
+
+/**
+ * Render the job list
+ */
+function renderJobs() {
+    jobList.innerHTML = '';
+
+    if (jobs.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty-text';
+        empty.textContent = 'No pages to capture';
+        jobList.appendChild(empty);
+        return;
+    }
+
+    jobs.forEach(job => {
+        const item = document.createElement('li');
+        item.className = `job-item ${job.status}`;
+
+        const details = document.createElement('div');
+        details.className = 'job-details';
+
+        const title = document.createElement('span');
+        title.className = 'job-title';
+        title.textContent = job.title;
+
+        const url = document.createElement('span');
+        url.className = 'job-url';
+        url.textContent = job.url;
+
+        details.appendChild(title);
+        details.appendChild(url);
+
+        const status = document.createElement('span');
+        status.className = 'job-status';
+        status.textContent = describeJobStatus(job);
+
+        item.appendChild(details);
+        item.appendChild(status);
+
+        if (job.status === 'done') {
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'secondary-btn';
+            viewBtn.textContent = 'View';
+            viewBtn.addEventListener('click', () => openJobInViewer(job.result));
+            item.appendChild(viewBtn);
+        }
+
+        jobList.appendChild(item);
+    });
+}
+
+/**
+ * Human-readable job status
+ */
+function describeJobStatus(job) {
+    switch (job.status) {
+        case 'capturing':
+            return 'Capturing...';
+        case 'done':
+            return 'Done';
+        case 'failed':
+            return `Failed: ${job.error}`;
+        case 'skipped':
+            return job.error || 'Skipped';
+        default:
+            return 'Waiting';
+    }
+}
+
+/**
+ * Collect every captured image with a unique file name; the main image of a
+ * capture carries the page source saved with it
+ */
+function collectBatchImages() {
+    const usedNames = new Set();
+    const files = [];
+
+    jobs.filter(job => job.status === 'done').forEach(job => {
+        const { imageData, metadata, images = [], pageSource = null } = job.result;
+        const baseName = metadata.filename.replace(/\.[^.]+$/, '');
+        const mainSuffix = (metadata.capture && metadata.capture.suffix) || '';
+
+        const entries = [
+            { imageData, suffix: mainSuffix, pageSource },
+            ...images.map((image, index) => ({ imageData: image.imageData, suffix: image.suffix || `-${index + 2}` }))
+        ];
+
+        entries.forEach(entry => {
+            let name = `${baseName}${entry.suffix}`;
+            for (let n = 2; usedNames.has(name); n++) {
+                name = `${baseName}${entry.suffix}-${n}`;
+            }
+            usedNames.add(name);
+
+            files.push({ name, imageData: entry.imageData, pageSource: entry.pageSource || null });
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Download all captures as one ZIP archive
+ */
+async function exportZip() {
+    try {
+        showStatus('Creating ZIP...', 'info');
+
+        const encoder = new TextEncoder();
+        const images = collectBatchImages();
+        const files = images.flatMap(file => [
+            { name: `${file.name}.png`, data: dataUrlToBytes(file.imageData) },
+            // Saved page sources sit next to their screenshots under the same name
+            ...(file.pageSource ? [{
+                name: `${file.name}.${file.pageSource.format}`,
+                data: encoder.encode(file.pageSource.content)
+            }] : [])
+        ]);
+
+        downloadBlob(createZipBlob(files), `screenshots-${batchDateStamp()}.zip`);
+        showStatus(`ZIP with ${images.length} images downloaded`, 'success');
+    } catch (error) {
+        console.error('ZIP export error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Download all captures as one PDF, a page per image
+ */
+async function exportPdf() {
+    try {
+        showStatus('Creating PDF...', 'info');
+
+        const pages = [];
+        for (const file of collectBatchImages()) {
+            pages.push(await imageToJpeg(file.imageData));
+        }
+
+        downloadBlob(createPdfBlob(pages), `screenshots-${batchDateStamp()}.pdf`);
+        showStatus(`PDF with ${pages.length} pages downloaded`, 'success');
+    } catch (error) {
+        console.error('PDF export error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Date stamp for export file names
+ */
+function batchDateStamp() {
+    return new Date().toISOString().replace(/:/g, '-').split('.')[0];
+}
+
+/**
+ * Show status message to user
+ */
+function showStatus(message, type = 'info') {
+    batchStatus.textContent = message;
+    batchStatus.className = `batch-status ${type}`;
+}
+
+/**
+ * Send message to background script
+ */
+function sendMessage(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, resolve);
+    });
+}
@@ -0,0 +1,198 @@
+/**
+ * Element Picker for Screenshot Pro Extension
+ * Highlights elements under the cursor and lets the user choose one
+ */
+
+class ElementPicker {
+    constructor(options = {}) {
+        this.options = {
+            // Elements inside these never get picked (our own page UI)
+            ignoreSelectors: ['#screenshot-capture-indicator'],
+            color: '#007bff',
+            ...options
+        };
+
+        this.highlight = null;
+        this.label = null;
+        this.current = null;
+        // Elements walked up through with the keyboard, so walking down can retrace them
+        this.trail = [];
+    }
+
+    /**
+     * Resolve with the chosen element, or null when cancelled
+     */
+    pick() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.createHighlight();
+
+            this.onMouseMove = this.onMouseMove.bind(this);
+            this.onClick = this.onClick.bind(this);
+            this.onKeyDown = this.onKeyDown.bind(this);
+            this.onScroll = this.onScroll.bind(this);
+            this.suppress = this.suppress.bind(this);
+
+            document.addEventListener('mousemove', this.onMouseMove, true);
+            document.addEventListener('mousedown', this.suppress, true);
+            document.addEventListener('mouseup', this.suppress, true);
+            document.addEventListener('click', this.onClick, true);
+            document.addEventListener('keydown', this.onKeyDown, true);
+            window.addEventListener('scroll', this.onScroll, true);
+        });
+    }
+
+    createHighlight() {
+        const { color } = this.options;
+
+        this.highlight = document.createElement('div');
+        this.highlight.id = 'screenshot-element-highlight';
+        this.highlight.style.cssText = `
+            position: fixed;
+            display: none;
+            pointer-events: none;
+            border: 2px solid ${color};
+            background: rgba(0, 123, 255, 0.15);
+            z-index: 999998;
+        `;
+
+        this.label = document.createElement('div');
+        this.label.style.cssText = `
+            position: absolute;
+            left: -2px;
+            bottom: 100%;
+            max-width: 480px;
+            padding: 2px 6px;
+            background: ${color};
+            color: white;
+            font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        `;
+
+        this.highlight.appendChild(this.label);
+        document.body.appendChild(this.highlight);
+    }
+
+    onMouseMove(event) {
+        const element = this.isPickable(event.target) ? event.target : null;
+        if (element !== this.current) {
+            this.trail = [];
+            this.setCurrent(element);
+        }
+    }
+
+    // Keep the page from reacting to clicks used for picking
+    suppress(event) {
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    onClick(event) {
+        this.suppress(event);
+        if (this.current) {
+            this.finish(this.current);
+        }
+    }
+
+    /**
+     * Up/Down walk to the parent or back towards the child, Enter picks, Esc cancels
+     */
+    onKeyDown(event) {
+        switch (event.key) {
+            case 'Escape':
+                this.finish(null);
+                break;
+
+            case 'Enter':
+                if (this.current) {
+                    this.finish(this.current);
+                }
+                break;
+
+            case 'ArrowUp': {
+                const parent = this.current && this.current.parentElement;
+                if (parent && this.isPickable(parent)) {
+                    this.trail.push(this.current);
+                    this.setCurrent(parent);
+                }
+                break;
+            }
+
+            case 'ArrowDown': {
+                const child = this.trail.pop() ||
+                    (this.current && Array.from(this.current.children).find(el => this.isPickable(el)));
+                if (child) {
+                    this.setCurrent(child);
+                }
+                break;
+            }
+
+            default:
+                return;
+        }
+
+        this.suppress(event);
+    }
+
+    onScroll() {
+        this.render();
+    }
+
+    isPickable(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+        if (element === document.documentElement || element === this.highlight) return false;
+        return !this.options.ignoreSelectors.some(selector => element.closest(selector));
+    }
+
+    setCurrent(element) {
+        this.current = element;
+        this.render();
+    }
+
+    /**
+     * Draw the highlight over the current element with its tag and size
+     */
+    render() {
+        if (!this.current || !this.current.isConnected) {
+            this.highlight.style.display = 'none';
+            return;
+        }
+
+        const rect = this.current.getBoundingClientRect();
+        this.highlight.style.display = 'block';
+        this.highlight.style.left = `${rect.left}px`;
+        this.highlight.style.top = `${rect.top}px`;
+        this.highlight.style.width = `${rect.width}px`;
+        this.highlight.style.height = `${rect.height}px`;
+        this.label.textContent = `${this.describe(this.current)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+
+        // Flip the label inside the box when there is no room above it
+        this.label.style.bottom = rect.top < 20 ? 'auto' : '100%';
+        this.label.style.top = rect.top < 20 ? '0' : 'auto';
+    }
+
+    describe(element) {
+        let text = element.tagName.toLowerCase();
+        if (element.id) {
+            text += `#${element.id}`;
+        }
+        if (typeof element.className === 'string' && element.className.trim()) {
+            text += '.' + element.className.trim().split(/\s+/).slice(0, 2).join('.');
+        }
+        return text;
+    }
+
+    finish(element) {
+        document.removeEventListener('mousemove', this.onMouseMove, true);
+        document.removeEventListener('mousedown', this.suppress, true);
+        document.removeEventListener('mouseup', this.suppress, true);
+        document.removeEventListener('click', this.onClick, true);
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        window.removeEventListener('scroll', this.onScroll, true);
+        this.highlight.remove();
+
+        this.resolve(element);
+    }
+}
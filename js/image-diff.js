@@ -0,0 +1,155 @@
+/**
+ * Image Diff for Screenshot Pro Extension
+ * Compares two screenshots pixel by pixel and groups the changes into regions
+ */
+
+class ImageDiff {
+    constructor(options = {}) {
+        this.options = {
+            // Largest per-channel difference still treated as equal, to ignore antialiasing and compression noise
+            threshold: 24,
+            // Changed pixels are grouped on a grid of this many pixels, so nearby changes merge into one region
+            cellSize: 16,
+            maxRegions: 100,
+            color: [255, 0, 64],
+            ...options
+        };
+    }
+
+    /**
+     * Compare two ImageData objects of possibly different sizes; area covered by
+     * only one of them counts as changed. Returns the overlay image, the share
+     * of changed pixels and the changed regions, largest first.
+     */
+    compare(before, after) {
+        const { threshold, cellSize, color } = this.options;
+        const width = Math.max(before.width, after.width);
+        const height = Math.max(before.height, after.height);
+        const overlay = new ImageData(width, height);
+        const out = overlay.data;
+
+        const columns = Math.ceil(width / cellSize);
+        const rows = Math.ceil(height / cellSize);
+        const cellCounts = new Uint32Array(columns * rows);
+        let changed = 0;
+
+        for (let y = 0; y < height; y++) {
+            const cellRow = Math.floor(y / cellSize) * columns;
+
+            for (let x = 0; x < width; x++) {
+                const a = this.pixelOffset(before, x, y);
+                const b = this.pixelOffset(after, x, y);
+                const o = (y * width + x) * 4;
+                let isChanged = a < 0 || b < 0;
+
+                if (!isChanged) {
+                    const pa = before.data;
+                    const pb = after.data;
+                    isChanged = Math.abs(pa[a] - pb[b]) > threshold ||
+                                Math.abs(pa[a + 1] - pb[b + 1]) > threshold ||
+                                Math.abs(pa[a + 2] - pb[b + 2]) > threshold ||
+                                Math.abs(pa[a + 3] - pb[b + 3]) > threshold;
+                }
+
+                if (isChanged) {
+                    out[o] = color[0];
+                    out[o + 1] = color[1];
+                    out[o + 2] = color[2];
+                    out[o + 3] = 255;
+                    changed++;
+                    cellCounts[cellRow + Math.floor(x / cellSize)]++;
+                } else {
+                    // Unchanged pixels show as a faded grey copy of the newer image for context
+                    const source = after.data;
+                    const luma = 0.299 * source[b] + 0.587 * source[b + 1] + 0.114 * source[b + 2];
+                    const faded = 255 - (255 - luma) * 0.25;
+                    out[o] = faded;
+                    out[o + 1] = faded;
+                    out[o + 2] = faded;
+                    out[o + 3] = 255;
+                }
+            }
+        }
+
+        return {
+            width,
+            height,
+            overlay,
+            changedPixels: changed,
+            mismatch: width * height ? changed / (width * height) * 100 : 0,
+            regions: this.findRegions(cellCounts, columns, rows, width, height)
+        };
+    }
+
+    /**
+     * Offset of a pixel in an ImageData, or -1 outside it
+     */
+    pixelOffset(image, x, y) {
+        if (x >= image.width || y >= image.height) {
+            return -1;
+        }
+        return (y * image.width + x) * 4;
+    }
+
+    /**
+     * Merge touching grid cells with changes into bounding boxes
+     */
+    findRegions(cellCounts, columns, rows, width, height) {
+        const { cellSize, maxRegions } = this.options;
+        const visited = new Uint8Array(cellCounts.length);
+        const regions = [];
+
+        for (let start = 0; start < cellCounts.length; start++) {
+            if (!cellCounts[start] || visited[start]) {
+                continue;
+            }
+
+            let minColumn = columns, minRow = rows, maxColumn = 0, maxRow = 0, pixels = 0;
+            const stack = [start];
+            visited[start] = 1;
+
+            while (stack.length) {
+                const cell = stack.pop();
+                const column = cell % columns;
+                const row = Math.floor(cell / columns);
+
+                minColumn = Math.min(minColumn, column);
+                maxColumn = Math.max(maxColumn, column);
+                minRow = Math.min(minRow, row);
+                maxRow = Math.max(maxRow, row);
+                pixels += cellCounts[cell];
+
+                // Diagonal neighbours count as touching
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nextColumn = column + dx;
+                        const nextRow = row + dy;
+                        if (nextColumn < 0 || nextRow < 0 || nextColumn >= columns || nextRow >= rows) {
+                            continue;
+                        }
+
+                        const next = nextRow * columns + nextColumn;
+                        if (cellCounts[next] && !visited[next]) {
+                            visited[next] = 1;
+                            stack.push(next);
+                        }
+                    }
+                }
+            }
+
+            const x = minColumn * cellSize;
+            const y = minRow * cellSize;
+            regions.push({
+                x,
+                y,
+                width: Math.min(width, (maxColumn + 1) * cellSize) - x,
+                height: Math.min(height, (maxRow + 1) * cellSize) - y,
+                pixels
+            });
+        }
+
+        return regions
+            .sort((a, b) => b.width * b.height - a.width * a.height)
+            .slice(0, maxRegions);
+    }
+}
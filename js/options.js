@@ -6,12 +6,26 @@
 // DOM elements
 let settingsForm, saveButton, saveStatus;
 let defaultFormat, defaultQuality, backgroundColor, resolution;
-let captureIframes, smartScrolling, cacheEnabled, scrollDelay, scrollDelayValue;
-let filenameTemplate, timestampFormat;
-let currentShortcut, changeShortcutBtn;
+let captureIframes, smartScrolling, captureEngine, cacheEnabled, preloadLazyContent, freezeAnimations, fixedElementsPolicy, oversizeMode, colorScheme, mediaType, reducedMotion, countdownSeconds, scrollDelay, scrollDelayValue;
+let filenameTemplate, timestampFormat, pageSource;
+let shortcutList, changeShortcutsBtn;
+let presetList, presetName, presetUrlPattern, presetSelector, addPresetBtn, presetShortcut;
+let hideRuleList, hideRuleDomain, hideRuleSelector, addHideRuleBtn, pickHideRuleBtn;
+let breakpointList, breakpointName, breakpointWidth, breakpointMobile, addBreakpointBtn, responsiveComposite;
+let scheduleList, scheduleUrl, scheduleMode, scheduleFrequency, scheduleWeekday, scheduleTime, scheduleInterval, addScheduleBtn;
+let historyList, keepCaptureHistory, clearHistoryBtn;
 let debugMode, autoOpenViewer;
 let clearCacheBtn, resetSettingsBtn;
 
+// Selector presets, hide rules, breakpoints and schedules, saved with the rest of the settings
+let selectorPresets = [];
+let hideRules = [];
+let breakpointPresets = [];
+let schedules = [];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CAPTURE_MODE_NAMES = { 'full-page': 'Full page', visible: 'Visible area', responsive: 'Responsive widths' };
+
 // Initialize options page when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializeOptions);
 
@@ -51,17 +65,63 @@ function getElements() {
     // Capture settings
     captureIframes = document.getElementById('captureIframes');
     smartScrolling = document.getElementById('smartScrolling');
+    captureEngine = document.getElementById('captureEngine');
     cacheEnabled = document.getElementById('cacheEnabled');
+    preloadLazyContent = document.getElementById('preloadLazyContent');
+    freezeAnimations = document.getElementById('freezeAnimations');
+    fixedElementsPolicy = document.getElementById('fixedElementsPolicy');
+    oversizeMode = document.getElementById('oversizeMode');
+    colorScheme = document.getElementById('colorScheme');
+    mediaType = document.getElementById('mediaType');
+    reducedMotion = document.getElementById('reducedMotion');
+    countdownSeconds = document.getElementById('countdownSeconds');
     scrollDelay = document.getElementById('scrollDelay');
     scrollDelayValue = document.getElementById('scrollDelayValue');
     
     // Filename settings
     filenameTemplate = document.getElementById('filenameTemplate');
     timestampFormat = document.getElementById('timestampFormat');
+    pageSource = document.getElementById('pageSource');
+    
+    // Responsive breakpoints
+    breakpointList = document.getElementById('breakpointList');
+    breakpointName = document.getElementById('breakpointName');
+    breakpointWidth = document.getElementById('breakpointWidth');
+    breakpointMobile = document.getElementById('breakpointMobile');
+    addBreakpointBtn = document.getElementById('addBreakpoint');
+    responsiveComposite = document.getElementById('responsiveComposite');
+    
+    // Hide rules
+    hideRuleList = document.getElementById('hideRuleList');
+    hideRuleDomain = document.getElementById('hideRuleDomain');
+    hideRuleSelector = document.getElementById('hideRuleSelector');
+    addHideRuleBtn = document.getElementById('addHideRule');
+    pickHideRuleBtn = document.getElementById('pickHideRule');
+    
+    // Scheduled captures
+    scheduleList = document.getElementById('scheduleList');
+    scheduleUrl = document.getElementById('scheduleUrl');
+    scheduleMode = document.getElementById('scheduleMode');
+    scheduleFrequency = document.getElementById('scheduleFrequency');
+    scheduleWeekday = document.getElementById('scheduleWeekday');
+    scheduleTime = document.getElementById('scheduleTime');
+    scheduleInterval = document.getElementById('scheduleInterval');
+    addScheduleBtn = document.getElementById('addSchedule');
+    historyList = document.getElementById('historyList');
+    keepCaptureHistory = document.getElementById('keepCaptureHistory');
+    clearHistoryBtn = document.getElementById('clearHistory');
+    
+    // Selector presets
+    presetList = document.getElementById('presetList');
+    presetName = document.getElementById('presetName');
+    presetUrlPattern = document.getElementById('presetUrlPattern');
+    presetSelector = document.getElementById('presetSelector');
+    addPresetBtn = document.getElementById('addPreset');
+    presetShortcut = document.getElementById('presetShortcut');
     
     // Keyboard shortcuts
-    currentShortcut = document.getElementById('currentShortcut');
-    changeShortcutBtn = document.getElementById('changeShortcut');
+    shortcutList = document.getElementById('shortcutList');
+    changeShortcutsBtn = document.getElementById('changeShortcuts');
     
     // Advanced settings
     debugMode = document.getElementById('debugMode');
@@ -80,7 +140,9 @@ function setupEventListeners() {
     // Auto-save on change for most settings
     const autoSaveElements = [
         defaultFormat, defaultQuality, backgroundColor, resolution,
-        captureIframes, smartScrolling, cacheEnabled,
+        captureIframes, smartScrolling, captureEngine, cacheEnabled, preloadLazyContent, freezeAnimations, fixedElementsPolicy, oversizeMode,
+        colorScheme, mediaType, reducedMotion, countdownSeconds,
+        responsiveComposite, keepCaptureHistory,
         filenameTemplate, timestampFormat,
         debugMode, autoOpenViewer
     ];
@@ -95,8 +157,40 @@ function setupEventListeners() {
         debounce(autoSave, 1000)();
     });
     
-    // Shortcut change
-    changeShortcutBtn.addEventListener('click', changeShortcut);
+    // Settings that run captures through the debugger, an optional permission
+    [captureEngine, colorScheme, mediaType, reducedMotion].forEach(element => {
+        element.addEventListener('change', requestDebuggerAccess);
+    });
+    
+    // Page source format
+    pageSource.addEventListener('change', changePageSource);
+    
+    // Responsive breakpoints
+    addBreakpointBtn.addEventListener('click', addBreakpoint);
+    
+    // Hide rules
+    addHideRuleBtn.addEventListener('click', addHideRule);
+    pickHideRuleBtn.addEventListener('click', pickHideRule);
+    
+    // Selector presets
+    addPresetBtn.addEventListener('click', addPreset);
+    
+    // Scheduled captures
+    scheduleFrequency.addEventListener('change', updateScheduleForm);
+    addScheduleBtn.addEventListener('click', addSchedule);
+    clearHistoryBtn.addEventListener('click', clearHistory);
+    
+    // Scheduled captures land in the history while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.captureHistory) {
+            renderHistory(changes.captureHistory.newValue || []);
+        }
+    });
+    
+    // Extensions can't rebind their own commands, Chrome's shortcuts page does it
+    changeShortcutsBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
     
     // Action buttons
     clearCacheBtn.addEventListener('click', clearCache);
@@ -135,15 +229,44 @@ async function loadSettings() {
             // Capture settings
             captureIframes.checked = settings.captureIframes !== false;
             smartScrolling.checked = settings.smartScrolling !== false;
+            if (settings.captureEngine) captureEngine.value = settings.captureEngine;
             cacheEnabled.checked = settings.cacheEnabled !== false;
+            preloadLazyContent.checked = settings.preloadLazyContent !== false;
+            freezeAnimations.checked = settings.freezeAnimations === true;
+            if (settings.fixedElementsPolicy) fixedElementsPolicy.value = settings.fixedElementsPolicy;
+            if (settings.oversizeMode) oversizeMode.value = settings.oversizeMode;
+            if (settings.colorScheme) colorScheme.value = settings.colorScheme;
+            if (settings.mediaType) mediaType.value = settings.mediaType;
+            reducedMotion.checked = settings.reducedMotion === true;
+            if (settings.countdownSeconds) countdownSeconds.value = settings.countdownSeconds;
             if (settings.scrollDelay) {
                 scrollDelay.value = settings.scrollDelay;
                 scrollDelayValue.textContent = `${settings.scrollDelay}ms`;
             }
             
+            // Responsive breakpoints
+            breakpointPresets = settings.breakpointPresets || [];
+            responsiveComposite.checked = settings.responsiveComposite !== false;
+            renderBreakpoints();
+            
+            // Hide rules
+            hideRules = settings.hideRules || [];
+            renderHideRules();
+            
+            // Selector presets
+            selectorPresets = settings.selectorPresets || [];
+            renderPresets();
+            
+            // Scheduled captures
+            schedules = settings.schedules || [];
+            renderSchedules();
+            keepCaptureHistory.checked = settings.keepCaptureHistory === true;
+            loadHistory();
+            
             // Filename settings
             if (settings.filenameTemplate) filenameTemplate.value = settings.filenameTemplate;
             if (settings.timestampFormat) timestampFormat.value = settings.timestampFormat;
+            if (settings.pageSource) pageSource.value = settings.pageSource;
             
             // Advanced settings
             debugMode.checked = settings.debugMode === true;
@@ -174,10 +297,26 @@ async function saveSettings() {
             resolution: resolution.value,
             captureIframes: captureIframes.checked,
             smartScrolling: smartScrolling.checked,
+            captureEngine: captureEngine.value,
             cacheEnabled: cacheEnabled.checked,
+            preloadLazyContent: preloadLazyContent.checked,
+            freezeAnimations: freezeAnimations.checked,
+            fixedElementsPolicy: fixedElementsPolicy.value,
+            oversizeMode: oversizeMode.value,
+            colorScheme: colorScheme.value,
+            mediaType: mediaType.value,
+            reducedMotion: reducedMotion.checked,
+            countdownSeconds: parseInt(countdownSeconds.value),
+            breakpointPresets: breakpointPresets,
+            responsiveComposite: responsiveComposite.checked,
+            hideRules: hideRules,
+            selectorPresets: selectorPresets,
+            schedules: schedules,
+            keepCaptureHistory: keepCaptureHistory.checked,
             scrollDelay: parseInt(scrollDelay.value),
             filenameTemplate: filenameTemplate.value,
             timestampFormat: timestampFormat.value,
+            pageSource: pageSource.value,
             debugMode: debugMode.checked,
             autoOpenViewer: autoOpenViewer.checked
         };
@@ -207,55 +346,573 @@ async function autoSave() {
 }
 
 /**
- * Change keyboard shortcut
+ * Ask for debugger access when a setting that needs it is turned on, putting
+ * the settings back to plain captures when it is refused
  */
-function changeShortcut() {
-    changeShortcutBtn.textContent = 'Press keys...';
-    changeShortcutBtn.disabled = true;
+async function requestDebuggerAccess() {
+    const needsDebugger = captureEngine.value === 'devtools' || colorScheme.value !== 'page' ||
+        mediaType.value !== 'screen' || reducedMotion.checked;
+    if (!needsDebugger) {
+        return;
+    }
     
-    const handleKeyPress = (event) => {
-        event.preventDefault();
+    const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+    if (granted) {
+        return;
+    }
+    
+    captureEngine.value = 'scroll';
+    colorScheme.value = 'page';
+    mediaType.value = 'screen';
+    reducedMotion.checked = false;
+    await saveSettings();
+    showStatus('Debugger access is needed for the single-shot engine and media emulation', 'error');
+}
+
+/**
+ * Switch the page source format, asking for the page capture permission that MHTML needs
+ */
+async function changePageSource() {
+    const granted = pageSource.value !== 'mhtml' ||
+        await chrome.permissions.request({ permissions: ['pageCapture'] });
+    
+    if (!granted) {
+        pageSource.value = 'html';
+    }
+    
+    await saveSettings();
+    
+    if (!granted) {
+        showStatus('MHTML needs the page capture permission, saving HTML instead', 'error');
+    }
+}
+
+/**
+ * Add a responsive breakpoint from the form
+ */
+async function addBreakpoint() {
+    const width = parseInt(breakpointWidth.value);
+    
+    if (!(width >= 200 && width <= 3840)) {
+        showStatus('Breakpoint width must be between 200 and 3840 pixels', 'error');
+        breakpointWidth.focus();
+        return;
+    }
+    
+    breakpointPresets.push({
+        name: breakpointName.value.trim() || `${width}px`,
+        width,
+        mobile: breakpointMobile.checked
+    });
+    breakpointPresets.sort((a, b) => a.width - b.width);
+    
+    breakpointName.value = '';
+    breakpointWidth.value = '';
+    breakpointMobile.checked = false;
+    
+    renderBreakpoints();
+    await saveSettings();
+}
+
+/**
+ * Remove a responsive breakpoint
+ */
+async function removeBreakpoint(index) {
+    breakpointPresets.splice(index, 1);
+    renderBreakpoints();
+    await saveSettings();
+}
+
+/**
+ * Render the list of responsive breakpoints
+ */
+function renderBreakpoints() {
+    breakpointList.textContent = '';
+    
+    if (breakpointPresets.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-text';
+        empty.textContent = 'No breakpoints yet';
+        breakpointList.appendChild(empty);
+        return;
+    }
+    
+    breakpointPresets.forEach((breakpoint, index) => {
+        breakpointList.appendChild(createListItem(
+            breakpoint.name,
+            breakpoint.mobile ? 'Mobile emulation' : 'Desktop',
+            `${breakpoint.width}px`,
+            () => removeBreakpoint(index)
+        ));
+    });
+}
+
+/**
+ * Add a hide rule from the form
+ */
+async function addHideRule() {
+    const rule = {
+        id: Date.now().toString(),
+        domain: hideRuleDomain.value.trim().toLowerCase(),
+        selector: hideRuleSelector.value.trim()
+    };
+    
+    if (!rule.selector) {
+        showStatus('A hide rule needs a selector', 'error');
+        return;
+    }
+    
+    if (!isValidSelector(rule.selector)) {
+        showStatus('Invalid CSS selector', 'error');
+        hideRuleSelector.focus();
+        return;
+    }
+    
+    hideRules.push(rule);
+    hideRuleDomain.value = '';
+    hideRuleSelector.value = '';
+    
+    renderHideRules();
+    await saveSettings();
+}
+
+/**
+ * Pick the element to hide on a page, filling in the form for review
+ */
+async function pickHideRule() {
+    // Scripting the page needs host access, asked for only when this helper is used
+    const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+    if (!granted) {
+        showStatus('Page access is needed to pick an element', 'error');
+        return;
+    }
+    
+    pickHideRuleBtn.disabled = true;
+    showStatus('Click the element to hide in the page...', 'info');
+    
+    try {
+        const response = await sendMessage({ action: 'pickHideSelector' });
         
-        const keys = [];
-        if (event.ctrlKey) keys.push('Ctrl');
-        if (event.altKey) keys.push('Alt');
-        if (event.shiftKey) keys.push('Shift');
-        if (event.metaKey) keys.push('Cmd');
+        if (response.success) {
+            hideRuleDomain.value = response.data.domain;
+            hideRuleSelector.value = response.data.selector;
+            showStatus('Element picked, click Add to save the rule', 'success');
+        } else if (response.cancelled) {
+            showStatus('Picking cancelled', 'info');
+        } else {
+            throw new Error(response.error || 'Element picking failed');
+        }
         
-        if (event.key && !['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
-            keys.push(event.key.toUpperCase());
+    } catch (error) {
+        console.error('Failed to pick element:', error);
+        showStatus(error.message, 'error');
+    } finally {
+        pickHideRuleBtn.disabled = false;
+    }
+}
+
+/**
+ * Remove a hide rule
+ */
+async function removeHideRule(id) {
+    hideRules = hideRules.filter(rule => rule.id !== id);
+    renderHideRules();
+    await saveSettings();
+}
+
+/**
+ * Render the list of hide rules
+ */
+function renderHideRules() {
+    hideRuleList.textContent = '';
+    
+    if (hideRules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-text';
+        empty.textContent = 'No hide rules yet';
+        hideRuleList.appendChild(empty);
+        return;
+    }
+    
+    hideRules.forEach(rule => {
+        hideRuleList.appendChild(createListItem(
+            rule.domain || 'All sites',
+            rule.domain ? 'This domain and its subdomains' : 'Every page',
+            rule.selector,
+            () => removeHideRule(rule.id)
+        ));
+    });
+}
+
+/**
+ * Add a selector preset from the form
+ */
+async function addPreset() {
+    const preset = {
+        id: Date.now().toString(),
+        name: presetName.value.trim(),
+        urlPattern: presetUrlPattern.value.trim(),
+        selector: presetSelector.value.trim()
+    };
+    
+    if (!preset.urlPattern || !preset.selector) {
+        showStatus('A preset needs a URL pattern and a selector', 'error');
+        return;
+    }
+    
+    if (!isValidSelector(preset.selector)) {
+        showStatus('Invalid CSS selector', 'error');
+        presetSelector.focus();
+        return;
+    }
+    
+    if (!preset.name) {
+        preset.name = preset.selector;
+    }
+    
+    selectorPresets.push(preset);
+    presetName.value = '';
+    presetUrlPattern.value = '';
+    presetSelector.value = '';
+    
+    renderPresets();
+    await saveSettings();
+}
+
+/**
+ * Remove a selector preset
+ */
+async function removePreset(id) {
+    selectorPresets = selectorPresets.filter(preset => preset.id !== id);
+    renderPresets();
+    await saveSettings();
+}
+
+/**
+ * Render the list of saved selector presets
+ */
+function renderPresets() {
+    presetList.textContent = '';
+    
+    if (selectorPresets.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-text';
+        empty.textContent = 'No presets yet';
+        presetList.appendChild(empty);
+        return;
+    }
+    
+    selectorPresets.forEach(preset => {
+        presetList.appendChild(createListItem(
+            preset.name,
+            preset.urlPattern,
+            preset.selector,
+            () => removePreset(preset.id)
+        ));
+    });
+}
+
+/**
+ * Show the time, weekday or interval field for the chosen frequency
+ */
+function updateScheduleForm() {
+    const frequency = scheduleFrequency.value;
+    scheduleWeekday.classList.toggle('hidden', frequency !== 'weekly');
+    scheduleTime.classList.toggle('hidden', frequency === 'interval');
+    scheduleInterval.classList.toggle('hidden', frequency !== 'interval');
+}
+
+/**
+ * Add a scheduled capture from the form
+ */
+async function addSchedule() {
+    const schedule = {
+        id: Date.now().toString(),
+        url: scheduleUrl.value.trim(),
+        captureMode: scheduleMode.value,
+        frequency: scheduleFrequency.value
+    };
+    
+    try {
+        if (!['http:', 'https:'].includes(new URL(schedule.url).protocol)) {
+            throw new Error('Unsupported protocol');
         }
+    } catch (error) {
+        showStatus('A schedule needs a web address starting with http:// or https://', 'error');
+        scheduleUrl.focus();
+        return;
+    }
+    
+    if (schedule.frequency === 'interval') {
+        schedule.intervalMinutes = parseInt(scheduleInterval.value);
+        if (!(schedule.intervalMinutes >= 15)) {
+            showStatus('Schedules can run at most every 15 minutes', 'error');
+            scheduleInterval.focus();
+            return;
+        }
+    } else {
+        if (!scheduleTime.value) {
+            showStatus('Choose a time for the schedule', 'error');
+            scheduleTime.focus();
+            return;
+        }
+        schedule.time = scheduleTime.value;
+        if (schedule.frequency === 'weekly') {
+            schedule.weekday = parseInt(scheduleWeekday.value);
+        }
+    }
+    
+    // Capturing a tab the user never clicked the extension on needs host access
+    const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+    if (!granted) {
+        showStatus('Page access is needed to capture pages on a schedule', 'error');
+        return;
+    }
+    
+    schedules.push(schedule);
+    scheduleUrl.value = '';
+    
+    renderSchedules();
+    await saveSettings();
+}
+
+/**
+ * Remove a scheduled capture
+ */
+async function removeSchedule(id) {
+    schedules = schedules.filter(schedule => schedule.id !== id);
+    renderSchedules();
+    await saveSettings();
+}
+
+/**
+ * Capture a schedule's page right away
+ */
+async function runScheduleNow(schedule, button) {
+    button.disabled = true;
+    showStatus(`Capturing ${schedule.url}...`, 'info');
+    
+    try {
+        const response = await sendMessage({ action: 'runSchedule', scheduleId: schedule.id });
         
-        if (keys.length >= 2) {
-            const shortcut = keys.join('+');
-            currentShortcut.textContent = shortcut;
-            
-            // Update Chrome commands (this requires permissions that we don't have)
-            // For now, just show the new shortcut
-            showStatus('Shortcut updated (restart extension to apply)', 'success');
+        if (!response.success) {
+            throw new Error(response.error || 'Scheduled capture failed');
+        }
+        if (!response.data.success) {
+            throw new Error(response.data.error);
         }
         
-        // Reset button
-        changeShortcutBtn.textContent = 'Change';
-        changeShortcutBtn.disabled = false;
-        document.removeEventListener('keydown', handleKeyPress);
-    };
+        showStatus('Captured, see the history below', 'success');
+    } catch (error) {
+        console.error('Failed to run schedule:', error);
+        showStatus(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Human-readable description of when a schedule runs
+ */
+function describeSchedule(schedule) {
+    const mode = CAPTURE_MODE_NAMES[schedule.captureMode] || schedule.captureMode;
     
-    document.addEventListener('keydown', handleKeyPress);
+    switch (schedule.frequency) {
+        case 'interval':
+            return `${mode}, every ${schedule.intervalMinutes} minutes`;
+        case 'weekly':
+            return `${mode}, every ${WEEKDAY_NAMES[schedule.weekday]} at ${schedule.time}`;
+        default:
+            return `${mode}, every day at ${schedule.time}`;
+    }
+}
+
+/**
+ * Render the list of scheduled captures
+ */
+function renderSchedules() {
+    scheduleList.textContent = '';
+    
+    if (schedules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-text';
+        empty.textContent = 'No schedules yet';
+        scheduleList.appendChild(empty);
+        return;
+    }
     
-    // Timeout after 10 seconds
-    setTimeout(() => {
-        changeShortcutBtn.textContent = 'Change';
-        changeShortcutBtn.disabled = false;
-        document.removeEventListener('keydown', handleKeyPress);
-    }, 10000);
+    schedules.forEach(schedule => {
+        const item = createListItem(
+            new URL(schedule.url).hostname,
+            describeSchedule(schedule),
+            schedule.url,
+            () => removeSchedule(schedule.id)
+        );
+        
+        const runBtn = document.createElement('button');
+        runBtn.className = 'secondary-btn';
+        runBtn.textContent = 'Run Now';
+        runBtn.addEventListener('click', () => runScheduleNow(schedule, runBtn));
+        item.insertBefore(runBtn, item.lastChild);
+        
+        scheduleList.appendChild(item);
+    });
+}
+
+/**
+ * Load and render the capture history
+ */
+async function loadHistory() {
+    const { captureHistory = [] } = await chrome.storage.local.get('captureHistory');
+    renderHistory(captureHistory);
+}
+
+/**
+ * Render the capture history, newest first
+ */
+function renderHistory(history) {
+    historyList.textContent = '';
+    clearHistoryBtn.disabled = history.length === 0;
+    
+    if (history.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-text';
+        empty.textContent = 'No captures in the history yet';
+        historyList.appendChild(empty);
+        return;
+    }
+    
+    history.forEach(entry => {
+        const when = new Date(entry.timestamp).toLocaleString();
+        const item = createListItem(
+            entry.title || entry.url,
+            entry.success ? when : `${when}, failed: ${entry.error}`,
+            entry.url,
+            () => deleteHistory([entry.id])
+        );
+        
+        if (entry.success) {
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'secondary-btn';
+            viewBtn.textContent = 'View';
+            viewBtn.addEventListener('click', () => openHistoryEntry(entry.id));
+            item.insertBefore(viewBtn, item.lastChild);
+        } else {
+            item.querySelector('.item-meta').classList.add('error');
+        }
+        
+        historyList.appendChild(item);
+    });
+}
+
+/**
+ * Open a history entry in the viewer
+ */
+async function openHistoryEntry(id) {
+    const response = await sendMessage({ action: 'openHistoryEntry', id });
+    
+    if (!response.success) {
+        showStatus(response.error || 'Failed to open capture', 'error');
+    }
+}
+
+/**
+ * Remove history entries and their screenshots
+ */
+async function deleteHistory(ids) {
+    const response = await sendMessage({ action: 'deleteHistoryEntries', ids });
+    
+    if (!response.success) {
+        showStatus(response.error || 'Failed to remove capture', 'error');
+    }
+}
+
+/**
+ * Remove every history entry
+ */
+async function clearHistory() {
+    if (confirm('Are you sure you want to remove all captures from the history?')) {
+        const { captureHistory = [] } = await chrome.storage.local.get('captureHistory');
+        await deleteHistory(captureHistory.map(entry => entry.id));
+    }
+}
+
+/**
+ * List row with a title, a detail line, a selector and a Remove button
+ */
+function createListItem(title, meta, selector, onRemove) {
+    const item = document.createElement('div');
+    item.className = 'list-item';
+    
+    const details = document.createElement('div');
+    details.className = 'item-details';
+    
+    const name = document.createElement('strong');
+    name.textContent = title;
+    
+    const metaText = document.createElement('span');
+    metaText.className = 'item-meta';
+    metaText.textContent = meta;
+    
+    const code = document.createElement('code');
+    code.textContent = selector;
+    
+    details.append(name, metaText, code);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', onRemove);
+    
+    item.append(details, removeBtn);
+    return item;
+}
+
+/**
+ * Check CSS selector syntax without touching this page
+ */
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Render every keyboard command with its current shortcut
+ */
+function renderShortcuts(commands) {
+    shortcutList.textContent = '';
+    
+    commands.forEach(command => {
+        const item = document.createElement('div');
+        item.className = 'list-item';
+        
+        const description = document.createElement('span');
+        description.className = 'item-details';
+        description.textContent = command.description;
+        
+        const key = document.createElement('span');
+        if (command.shortcut) {
+            key.className = 'shortcut-key';
+            key.textContent = command.shortcut;
+        } else {
+            key.className = 'empty-text';
+            key.textContent = 'Not set';
+        }
+        
+        item.append(description, key);
+        shortcutList.appendChild(item);
+    });
 }
 
 /**
  * Clear cache
  */
 async function clearCache() {
-    if (confirm('Are you sure you want to clear the cache? This will remove all cached screenshot data.')) {
+    if (confirm('Are you sure you want to clear the cache? This will remove all cached screenshot data, including the capture history.')) {
         try {
             // Clear Chrome storage
             await chrome.storage.local.clear();
@@ -293,12 +950,14 @@ function updateUI() {
     // Update scroll delay display
     scrollDelayValue.textContent = `${scrollDelay.value}ms`;
     
-    // Load current shortcut from Chrome commands
+    // Load current shortcuts from Chrome commands
     chrome.commands.getAll((commands) => {
-        const screenshotCommand = commands.find(cmd => cmd.name === 'take-screenshot');
-        if (screenshotCommand && screenshotCommand.shortcut) {
-            currentShortcut.textContent = screenshotCommand.shortcut;
-        }
+        renderShortcuts(commands);
+        
+        const presetCommand = commands.find(cmd => cmd.name === 'capture-preset');
+        presetShortcut.textContent = presetCommand && presetCommand.shortcut
+            ? presetCommand.shortcut
+            : 'the preset shortcut (unset)';
     });
 }
 
@@ -0,0 +1,303 @@
+/**
+ * Page Snapshot for Screenshot Pro Extension
+ * Serializes the page as it is right now into one self-contained HTML file
+ */
+
+class PageSnapshot {
+    constructor(options = {}) {
+        this.options = {
+            // Our own page UI is left out of the snapshot
+            ignoreSelectors: ['#screenshot-capture-indicator'],
+            // Larger images stay linked by URL so the file remains manageable
+            maxImageBytes: 5 * 1024 * 1024,
+            // Attributes that navigate or load, checked for javascript: URLs
+            urlAttributes: ['href', 'xlink:href', 'src', 'action', 'formaction'],
+            ...options
+        };
+
+        // Data URLs by image URL, so icons repeated across the page are read once
+        this.images = new Map();
+    }
+
+    /**
+     * Resolve with the page's HTML: stylesheets and images inlined, scripts and
+     * event handlers removed, form state and canvas contents kept. Fonts, CSS
+     * backgrounds and frames stay linked by absolute URL; shadow roots are not included.
+     */
+    async serialize() {
+        const root = document.documentElement;
+        const clone = root.cloneNode(true);
+
+        // Each step pairs elements with their clones by position, so the clone
+        // is only trimmed once everything has been copied across
+        await this.inlineStylesheets(root, clone);
+        await this.inlineImages(root, clone);
+        this.copyFormState(root, clone);
+        this.copyCanvases(root, clone);
+        this.stripScripts(clone);
+        clone.querySelectorAll(this.options.ignoreSelectors.join(',')).forEach(element => element.remove());
+        this.addHead(clone);
+
+        return `${this.serializeDoctype()}\n${clone.outerHTML}`;
+    }
+
+    /**
+     * Replace linked and inline stylesheets with their current rules
+     */
+    async inlineStylesheets(root, clone) {
+        const selector = 'link[rel~="stylesheet"], style';
+        const originals = root.querySelectorAll(selector);
+        const copies = clone.querySelectorAll(selector);
+
+        for (let i = 0; i < originals.length; i++) {
+            const original = originals[i];
+            const css = original.sheet ? await this.readStylesheet(original.sheet) : null;
+
+            if (css === null) {
+                // Unreadable or disabled, keep linking to it from wherever the snapshot is opened
+                if (original.href) {
+                    copies[i].setAttribute('href', original.href);
+                }
+                continue;
+            }
+
+            const style = document.createElement('style');
+            if (original.media) {
+                style.media = original.media;
+            }
+            style.textContent = css;
+            copies[i].replaceWith(style);
+        }
+    }
+
+    /**
+     * Text of a stylesheet with imports inlined and url() references made absolute,
+     * or null when it cannot be read. The rules are read rather than the source
+     * so rules added by script are kept.
+     */
+    async readStylesheet(sheet) {
+        const base = sheet.href || document.baseURI;
+        let rules;
+
+        try {
+            rules = Array.from(sheet.cssRules);
+        } catch (error) {
+            // Cross-origin sheets hide their rules, the file itself may still be readable
+            const css = sheet.href ? await this.fetchText(sheet.href) : null;
+            return css === null ? null : this.absolutizeCssUrls(css, base);
+        }
+
+        const parts = [];
+        for (const rule of rules) {
+            if (rule instanceof CSSImportRule && rule.styleSheet) {
+                const imported = await this.readStylesheet(rule.styleSheet);
+                if (imported !== null) {
+                    const media = rule.media.mediaText;
+                    parts.push(media ? `@media ${media} {\n${imported}\n}` : imported);
+                    continue;
+                }
+            }
+            parts.push(rule.cssText);
+        }
+
+        return this.absolutizeCssUrls(parts.join('\n'), base);
+    }
+
+    /**
+     * Resolve url() references against the stylesheet's own location
+     */
+    absolutizeCssUrls(css, base) {
+        return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+            if (/^(data|blob):|^#/.test(url)) {
+                return match;
+            }
+            try {
+                return `url("${new URL(url, base).href}")`;
+            } catch (error) {
+                return match;
+            }
+        });
+    }
+
+    /**
+     * Point every image at a data URL of what it currently shows
+     */
+    async inlineImages(root, clone) {
+        const originals = root.querySelectorAll('img');
+        const copies = clone.querySelectorAll('img');
+
+        for (let i = 0; i < originals.length; i++) {
+            const src = originals[i].currentSrc || originals[i].src;
+            if (!src) {
+                continue;
+            }
+
+            const dataUrl = src.startsWith('data:') ? src : await this.readImage(originals[i], src);
+
+            // The chosen source replaces the responsive candidates, and nothing waits to lazy-load
+            copies[i].removeAttribute('srcset');
+            copies[i].removeAttribute('sizes');
+            copies[i].removeAttribute('loading');
+            copies[i].setAttribute('src', dataUrl || src);
+        }
+
+        clone.querySelectorAll('picture > source').forEach(source => source.remove());
+    }
+
+    /**
+     * Data URL of an image, from its file or else from the decoded image on the
+     * page; null when neither can be read (cross-origin without CORS, too large)
+     */
+    async readImage(image, src) {
+        if (this.images.has(src)) {
+            return this.images.get(src);
+        }
+
+        let dataUrl = null;
+        try {
+            const response = await fetch(src);
+            const blob = response.ok ? await response.blob() : null;
+            if (blob && blob.size <= this.options.maxImageBytes) {
+                dataUrl = await this.blobToDataUrl(blob);
+            }
+        } catch (error) {
+            // Not readable from here, try the pixels already on the page
+        }
+
+        if (!dataUrl && image.complete && image.naturalWidth) {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.naturalWidth;
+                canvas.height = image.naturalHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                dataUrl = canvas.toDataURL('image/png');
+            } catch (error) {
+                // A cross-origin image taints the canvas, it stays linked
+            }
+        }
+
+        this.images.set(src, dataUrl);
+        return dataUrl;
+    }
+
+    /**
+     * Write typed-in values, ticks and choices into the markup; passwords are never saved
+     */
+    copyFormState(root, clone) {
+        const selector = 'input, textarea, select';
+        const originals = root.querySelectorAll(selector);
+        const copies = clone.querySelectorAll(selector);
+
+        originals.forEach((element, i) => {
+            const copy = copies[i];
+
+            if (element instanceof HTMLTextAreaElement) {
+                copy.textContent = element.value;
+            } else if (element instanceof HTMLSelectElement) {
+                Array.from(element.options).forEach((option, j) => {
+                    copy.options[j].toggleAttribute('selected', option.selected);
+                });
+            } else if (element.type === 'password') {
+                copy.removeAttribute('value');
+            } else if (element.type === 'checkbox' || element.type === 'radio') {
+                copy.toggleAttribute('checked', element.checked);
+            } else if (element.type !== 'file') {
+                copy.setAttribute('value', element.value);
+            }
+        });
+    }
+
+    /**
+     * Replace canvases, which serialize empty, with an image of their contents
+     */
+    copyCanvases(root, clone) {
+        const originals = root.querySelectorAll('canvas');
+        const copies = clone.querySelectorAll('canvas');
+
+        originals.forEach((canvas, i) => {
+            try {
+                const image = document.createElement('img');
+                Array.from(copies[i].attributes).forEach(({ name, value }) => image.setAttribute(name, value));
+                image.src = canvas.toDataURL('image/png');
+                copies[i].replaceWith(image);
+            } catch (error) {
+                // Tainted by cross-origin content, it stays a blank canvas
+            }
+        });
+    }
+
+    /**
+     * Remove everything that would run or navigate when the snapshot is opened
+     */
+    stripScripts(clone) {
+        clone.querySelectorAll([
+            'script',
+            'noscript',
+            'link[rel~="modulepreload"]',
+            'link[rel~="preload"][as="script"]',
+            'meta[http-equiv="refresh" i]'
+        ].join(',')).forEach(element => element.remove());
+
+        clone.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                // Only real handlers, so state attributes like <details open> survive
+                const isHandler = /^on[a-z]+$/.test(name) && name in element;
+                const isScriptUrl = this.options.urlAttributes.includes(name) && /^\s*javascript:/i.test(value);
+                if (isHandler || isScriptUrl) {
+                    element.removeAttribute(name);
+                }
+            });
+        });
+
+        // Frames still load their live pages, just without running script
+        clone.querySelectorAll('iframe, frame').forEach(frame => frame.setAttribute('sandbox', ''));
+    }
+
+    /**
+     * Declare the snapshot's encoding, resolve remaining relative links against
+     * the original page, and record where and when it was taken
+     */
+    addHead(clone) {
+        let head = clone.querySelector('head');
+        if (!head) {
+            head = document.createElement('head');
+            clone.prepend(head);
+        }
+
+        head.querySelectorAll('meta[charset], meta[http-equiv="content-type" i], base').forEach(element => element.remove());
+
+        const charset = document.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+
+        const base = document.createElement('base');
+        base.href = document.baseURI;
+
+        const source = document.createElement('meta');
+        source.name = 'screenshot-pro-source';
+        source.content = `${window.location.href} ${new Date().toISOString()}`;
+
+        head.prepend(charset, base, source);
+    }
+
+    serializeDoctype() {
+        return document.doctype ? new XMLSerializer().serializeToString(document.doctype) : '';
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    async fetchText(url) {
+        try {
+            const response = await fetch(url);
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
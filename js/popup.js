@@ -4,7 +4,10 @@
  */
 
 // DOM elements
-let takeScreenshotBtn, formatSelect, qualitySelect, openSettingsBtn, openHelpBtn, reportBugBtn, statusDiv;
+let takeScreenshotBtn, captureModeBtns, batchBtns, formatSelect, qualitySelect, openSettingsBtn, openHelpBtn, reportBugBtn, statusDiv;
+
+// Modes that wait for the user to interact with the page, so the popup must get out of the way
+const INTERACTIVE_CAPTURE_MODES = ['scroll-area', 'region', 'element', 'timed'];
 
 // Initialize popup when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializePopup);
@@ -17,6 +20,8 @@ async function initializePopup() {
     
     // Get DOM elements
     takeScreenshotBtn = document.getElementById('takeScreenshot');
+    captureModeBtns = document.querySelectorAll('[data-capture-mode]');
+    batchBtns = document.querySelectorAll('[data-batch-source]');
     formatSelect = document.getElementById('format');
     qualitySelect = document.getElementById('quality');
     openSettingsBtn = document.getElementById('openSettings');
@@ -39,7 +44,17 @@ async function initializePopup() {
  */
 function setupEventListeners() {
     // Main screenshot button
-    takeScreenshotBtn.addEventListener('click', handleTakeScreenshot);
+    takeScreenshotBtn.addEventListener('click', () => handleTakeScreenshot());
+    
+    // Other capture modes
+    captureModeBtns.forEach(btn => {
+        btn.addEventListener('click', () => handleTakeScreenshot(btn.dataset.captureMode, btn.dataset.colorScheme));
+    });
+    
+    // Batch captures of every tab in the window or a URL list
+    batchBtns.forEach(btn => {
+        btn.addEventListener('click', () => openBatchCapture(btn.dataset.batchSource));
+    });
     
     // Settings button
     openSettingsBtn.addEventListener('click', openSettings);
@@ -63,23 +78,45 @@ function setupEventListeners() {
 /**
  * Handle take screenshot button click
  */
-async function handleTakeScreenshot() {
+async function handleTakeScreenshot(captureMode = 'full-page', colorScheme) {
     try {
         showStatus('Taking screenshot...', 'info');
-        takeScreenshotBtn.disabled = true;
+        setCaptureButtonsDisabled(true);
+        
+        // Breakpoint widths and color schemes are emulated through the optional debugger permission
+        if (captureMode === 'responsive' || colorScheme) {
+            const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+            if (!granted) {
+                throw new Error('Debugger access is needed for this capture');
+            }
+        }
         
         // Get current settings
         const options = {
+            captureMode,
             defaultFormat: formatSelect.value,
             defaultQuality: qualitySelect.value
         };
         
-        // Send message to background script
-        const response = await sendMessage({
+        // Override the emulated color scheme from settings for this capture only
+        if (colorScheme) {
+            options.colorScheme = colorScheme;
+        }
+        
+        const request = sendMessage({
             action: 'takeScreenshot',
             options: options
         });
         
+        // The background worker carries on once the popup is closed
+        if (INTERACTIVE_CAPTURE_MODES.includes(captureMode)) {
+            window.close();
+            return;
+        }
+        
+        // Send message to background script
+        const response = await request;
+        
         if (response.success) {
             showStatus('Screenshot captured successfully!', 'success');
             
@@ -95,10 +132,30 @@ async function handleTakeScreenshot() {
         console.error('Screenshot error:', error);
         showStatus(`Error: ${error.message}`, 'error');
     } finally {
-        takeScreenshotBtn.disabled = false;
+        setCaptureButtonsDisabled(false);
     }
 }
 
+/**
+ * Enable or disable every capture button at once
+ */
+function setCaptureButtonsDisabled(disabled) {
+    takeScreenshotBtn.disabled = disabled;
+    captureModeBtns.forEach(btn => {
+        btn.disabled = disabled;
+    });
+}
+
+/**
+ * Open the batch capture page for the open tabs or a URL list in the current window
+ */
+async function openBatchCapture(source) {
+    const currentWindow = await chrome.windows.getCurrent();
+    const params = new URLSearchParams({ source, windowId: currentWindow.id });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html?${params}`) });
+    window.close();
+}
+
 /**
  * Open settings page
  */
@@ -222,7 +279,7 @@ async function checkTabPermissions() {
         
         if (!tab) {
             showStatus('No active tab found', 'error');
-            takeScreenshotBtn.disabled = true;
+            setCaptureButtonsDisabled(true);
             return;
         }
         
@@ -231,17 +288,17 @@ async function checkTabPermissions() {
         if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
             url.startsWith('edge://') || url.startsWith('about:')) {
             showStatus('Screenshots not supported on this page', 'error');
-            takeScreenshotBtn.disabled = true;
+            setCaptureButtonsDisabled(true);
             return;
         }
         
         // Tab is supported
-        takeScreenshotBtn.disabled = false;
+        setCaptureButtonsDisabled(false);
         
     } catch (error) {
         console.error('Permission check error:', error);
         showStatus('Unable to check tab permissions', 'error');
-        takeScreenshotBtn.disabled = true;
+        setCaptureButtonsDisabled(true);
     }
 }
 
@@ -0,0 +1,282 @@
+/**
+ * Region Selector for Screenshot Pro Extension
+ * Dims the page and lets the user drag out the rectangle to capture
+ */
+
+class RegionSelector {
+    // Distance from the viewport edge (px) where dragging starts auto-scrolling
+    static EDGE_SIZE = 40;
+    static MAX_SCROLL_STEP = 30;
+    static MIN_SIZE = 5;
+
+    constructor() {
+        this.overlay = null;
+        this.box = null;
+        this.label = null;
+
+        // Selection corners in page coordinates
+        this.start = null;
+        this.end = null;
+        this.dragging = false;
+        this.pointer = null;
+        this.scrollTimer = null;
+    }
+
+    /**
+     * Show the overlay and resolve with the selected page rect, or null when cancelled
+     */
+    select() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.createOverlay();
+
+            this.onMouseDown = this.onMouseDown.bind(this);
+            this.onMouseMove = this.onMouseMove.bind(this);
+            this.onMouseUp = this.onMouseUp.bind(this);
+            this.onDoubleClick = this.onDoubleClick.bind(this);
+            this.onKeyDown = this.onKeyDown.bind(this);
+            this.onScroll = this.onScroll.bind(this);
+
+            this.overlay.addEventListener('mousedown', this.onMouseDown);
+            this.overlay.addEventListener('dblclick', this.onDoubleClick);
+            document.addEventListener('mousemove', this.onMouseMove, true);
+            document.addEventListener('mouseup', this.onMouseUp, true);
+            document.addEventListener('keydown', this.onKeyDown, true);
+            window.addEventListener('scroll', this.onScroll, true);
+        });
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'screenshot-region-overlay';
+        this.overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            cursor: crosshair;
+            z-index: 999997;
+        `;
+
+        // The box stays clear while its huge shadow dims everything around it
+        this.box = document.createElement('div');
+        this.box.style.cssText = `
+            position: fixed;
+            display: none;
+            pointer-events: none;
+            border: 1px dashed white;
+            box-shadow: 0 0 0 100000px rgba(0, 0, 0, 0.4);
+        `;
+
+        this.label = document.createElement('div');
+        this.label.style.cssText = `
+            position: absolute;
+            left: 0;
+            bottom: 100%;
+            margin-bottom: 4px;
+            padding: 2px 6px;
+            background: rgba(0, 0, 0, 0.75);
+            color: white;
+            border-radius: 3px;
+            font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            white-space: nowrap;
+        `;
+
+        this.box.appendChild(this.label);
+        this.overlay.appendChild(this.box);
+        document.body.appendChild(this.overlay);
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+
+        this.dragging = true;
+        this.pointer = { x: event.clientX, y: event.clientY };
+        this.start = this.toPage(this.pointer);
+        this.end = { ...this.start };
+        this.render();
+    }
+
+    onMouseMove(event) {
+        if (!this.dragging) return;
+        event.preventDefault();
+
+        this.pointer = { x: event.clientX, y: event.clientY };
+        this.end = this.toPage(this.pointer);
+        this.render();
+        this.updateAutoScroll();
+    }
+
+    onMouseUp(event) {
+        if (!this.dragging) return;
+        event.preventDefault();
+
+        this.dragging = false;
+        this.stopAutoScroll();
+
+        // A click without a real drag clears the selection
+        const rect = this.getRect();
+        if (!rect || rect.width < RegionSelector.MIN_SIZE || rect.height < RegionSelector.MIN_SIZE) {
+            this.start = null;
+            this.end = null;
+            this.render();
+        }
+    }
+
+    onDoubleClick(event) {
+        event.preventDefault();
+        this.confirm();
+    }
+
+    onKeyDown(event) {
+        const nudges = {
+            ArrowLeft: { x: -1, y: 0 },
+            ArrowRight: { x: 1, y: 0 },
+            ArrowUp: { x: 0, y: -1 },
+            ArrowDown: { x: 0, y: 1 }
+        };
+
+        if (event.key === 'Escape') {
+            this.finish(null);
+        } else if (event.key === 'Enter') {
+            this.confirm();
+        } else if (nudges[event.key] && this.getRect()) {
+            const step = event.shiftKey ? 10 : 1;
+            this.nudge(nudges[event.key].x * step, nudges[event.key].y * step);
+        } else {
+            return;
+        }
+
+        // Keep the page from scrolling or handling keys meant for the selector
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    onScroll() {
+        // The box is drawn in viewport coordinates, so follow the page
+        if (this.dragging && this.pointer) {
+            this.end = this.toPage(this.pointer);
+        }
+        this.render();
+    }
+
+    /**
+     * Move the whole selection, keeping it inside the page
+     */
+    nudge(dx, dy) {
+        const rect = this.getRect();
+        const page = this.getPageSize();
+        const x = Math.max(0, Math.min(rect.x + dx, page.width - rect.width));
+        const y = Math.max(0, Math.min(rect.y + dy, page.height - rect.height));
+
+        this.start = { x, y };
+        this.end = { x: x + rect.width, y: y + rect.height };
+        this.render();
+    }
+
+    /**
+     * Scroll the page while the pointer is held near a viewport edge
+     */
+    updateAutoScroll() {
+        const step = (position, size) => {
+            const edge = RegionSelector.EDGE_SIZE;
+            if (position < edge) return -Math.ceil((edge - position) / edge * RegionSelector.MAX_SCROLL_STEP);
+            if (position > size - edge) return Math.ceil((position - (size - edge)) / edge * RegionSelector.MAX_SCROLL_STEP);
+            return 0;
+        };
+
+        const dx = step(this.pointer.x, window.innerWidth);
+        const dy = step(this.pointer.y, window.innerHeight);
+
+        if (dx === 0 && dy === 0) {
+            this.stopAutoScroll();
+            return;
+        }
+
+        this.scrollStep = { x: dx, y: dy };
+        if (!this.scrollTimer) {
+            this.scrollTimer = setInterval(() => window.scrollBy(this.scrollStep.x, this.scrollStep.y), 16);
+        }
+    }
+
+    stopAutoScroll() {
+        if (this.scrollTimer) {
+            clearInterval(this.scrollTimer);
+            this.scrollTimer = null;
+        }
+    }
+
+    confirm() {
+        const rect = this.getRect();
+        if (rect && rect.width >= RegionSelector.MIN_SIZE && rect.height >= RegionSelector.MIN_SIZE) {
+            this.finish(rect);
+        }
+    }
+
+    finish(rect) {
+        this.stopAutoScroll();
+
+        this.overlay.removeEventListener('mousedown', this.onMouseDown);
+        this.overlay.removeEventListener('dblclick', this.onDoubleClick);
+        document.removeEventListener('mousemove', this.onMouseMove, true);
+        document.removeEventListener('mouseup', this.onMouseUp, true);
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        window.removeEventListener('scroll', this.onScroll, true);
+        this.overlay.remove();
+
+        this.resolve(rect);
+    }
+
+    /**
+     * Draw the selection box and its size label
+     */
+    render() {
+        const rect = this.getRect();
+        if (!rect) {
+            this.box.style.display = 'none';
+            this.overlay.style.background = 'rgba(0, 0, 0, 0.4)';
+            return;
+        }
+
+        // The box shadow does the dimming once there is a selection
+        this.overlay.style.background = 'transparent';
+        this.box.style.display = 'block';
+        this.box.style.left = `${rect.x - window.scrollX}px`;
+        this.box.style.top = `${rect.y - window.scrollY}px`;
+        this.box.style.width = `${rect.width}px`;
+        this.box.style.height = `${rect.height}px`;
+        this.label.textContent = `${rect.width} × ${rect.height}`;
+    }
+
+    /**
+     * Current selection as a page rect in whole CSS pixels
+     */
+    getRect() {
+        if (!this.start || !this.end) return null;
+
+        const x = Math.round(Math.min(this.start.x, this.end.x));
+        const y = Math.round(Math.min(this.start.y, this.end.y));
+
+        return {
+            x,
+            y,
+            width: Math.round(Math.max(this.start.x, this.end.x)) - x,
+            height: Math.round(Math.max(this.start.y, this.end.y)) - y
+        };
+    }
+
+    toPage(point) {
+        const page = this.getPageSize();
+        return {
+            x: Math.max(0, Math.min(point.x + window.scrollX, page.width)),
+            y: Math.max(0, Math.min(point.y + window.scrollY, page.height))
+        };
+    }
+
+    getPageSize() {
+        return {
+            width: Math.max(document.documentElement.scrollWidth, document.body.scrollWidth),
+            height: Math.max(document.documentElement.scrollHeight, document.body.scrollHeight)
+        };
+    }
+}
@@ -4,6 +4,13 @@
  */
 
 class ScreenshotEngine {
+    // Chrome refuses canvases beyond 32767px per side or 268M pixels in total;
+    // stay well inside that so large tiles can still be encoded
+    static CANVAS_LIMITS = {
+        maxDimension: 16384,
+        maxArea: 16384 * 8192
+    };
+
     constructor(options = {}) {
         this.options = {
             scrollDelay: 500,
@@ -11,12 +18,15 @@ class ScreenshotEngine {
             stitchingQuality: 0.95,
             cacheEnabled: true,
             debugMode: false,
+            excludeSelectors: [],
+            hideSelectors: [],
             ...options
         };
         
         this.cache = new Map();
         this.isCapturing = false;
         this.captureId = null;
+        this.frameTimings = [];
     }
 
     /**
@@ -29,12 +39,29 @@ class ScreenshotEngine {
 
         this.isCapturing = true;
         this.captureId = Date.now().toString();
+        this.frameTimings = [];
+        const removeHideRules = this.applyHideRules();
+        let unfreezePage = null;
         
         try {
-            const pageAnalysis = await this.analyzePage();
+            let pageAnalysis = await this.analyzePage();
+
+            // Let lazy loaders fire, then measure again since the page may have grown
+            if (captureOptions.preloadLazyContent !== false && this.needsScrolling(pageAnalysis) &&
+                await this.preloadLazyContent(pageAnalysis)) {
+                pageAnalysis = await this.analyzePage();
+                pageAnalysis.lazyContentPreloaded = true;
+            }
+
             const strategy = this.determineCaptureStrategy(pageAnalysis, captureOptions);
             
             this.log('Starting capture with strategy:', strategy.type);
+
+            // Freeze after the lazy-load pass, which may depend on running scripts
+            if (captureOptions.freezeAnimations === true) {
+                unfreezePage = await this.freezePage();
+                pageAnalysis.animationsFrozen = true;
+            }
             
             let result;
             switch (strategy.type) {
@@ -51,21 +78,171 @@ class ScreenshotEngine {
                     throw new Error(`Unknown capture strategy: ${strategy.type}`);
             }
 
+            // Frames are in, let the page run again while stitching
+            if (unfreezePage) {
+                await unfreezePage();
+                unfreezePage = null;
+            }
+
             return await this.processResult(result, pageAnalysis, captureOptions);
             
         } finally {
+            if (unfreezePage) {
+                await unfreezePage();
+            }
+            removeHideRules();
+            this.isCapturing = false;
+            this.captureId = null;
+        }
+    }
+
+    /**
+     * Capture a rectangle of the page given in page coordinates (CSS pixels),
+     * scrolling and stitching when it is larger than the viewport
+     */
+    async captureArea(area, captureOptions = {}) {
+        if (this.isCapturing) {
+            throw new Error('Capture already in progress');
+        }
+
+        this.isCapturing = true;
+        this.captureId = Date.now().toString();
+        this.frameTimings = [];
+        const removeHideRules = this.applyHideRules();
+        let unfreezePage = null;
+
+        try {
+            const analysis = await this.analyzePage();
+            const bounds = this.clampArea(area, analysis.page);
+            if (bounds.width < 1 || bounds.height < 1) {
+                throw new Error('Capture area is empty');
+            }
+
+            const { viewport } = analysis;
+            const horizontal = bounds.width > viewport.contentWidth;
+            const vertical = bounds.height > viewport.contentHeight;
+            const scrollDirection = horizontal && vertical ? 'both' : (horizontal ? 'horizontal' : 'vertical');
+
+            const sections = this.calculateSections(analysis, scrollDirection, bounds);
+            this.log('Capturing area', bounds, 'sections:', sections.length);
+
+            if (captureOptions.freezeAnimations === true) {
+                unfreezePage = await this.freezePage();
+                analysis.animationsFrozen = true;
+            }
+
+            const captures = await this.captureWithScrolling({
+                sections,
+                scrollDirection,
+                fixedElements: {
+                    elements: analysis.fixedElements,
+                    policy: captureOptions.fixedElementsPolicy || 'first'
+                }
+            });
+
+            if (unfreezePage) {
+                await unfreezePage();
+                unfreezePage = null;
+            }
+
+            const output = await this.stitchImages(captures, analysis, {
+                oversizeMode: captureOptions.oversizeMode,
+                bounds
+            });
+
+            const result = {
+                imageData: output.tiles[0].imageData,
+                metadata: {
+                    ...this.describeAnalysis(analysis),
+                    captureType: 'region',
+                    region: bounds,
+                    sections: sections.length,
+                    frameTimings: this.frameTimings,
+                    ...this.describeOutput(output),
+                    timestamp: new Date().toISOString()
+                }
+            };
+
+            if (output.tiles.length > 1) {
+                result.tiles = output.tiles;
+            }
+
+            return result;
+
+        } finally {
+            if (unfreezePage) {
+                await unfreezePage();
+            }
+            removeHideRules();
             this.isCapturing = false;
             this.captureId = null;
         }
     }
 
+    /**
+     * Capture an element's full bounding box, even where it extends past the viewport
+     */
+    async captureElement(element, captureOptions = {}) {
+        const rect = element.getBoundingClientRect();
+        const area = {
+            x: rect.left + window.pageXOffset,
+            y: rect.top + window.pageYOffset,
+            width: rect.width,
+            height: rect.height
+        };
+
+        const result = await this.captureArea(area, captureOptions);
+
+        // The selector lets the same element be found and captured again later
+        result.metadata.captureType = 'element';
+        result.metadata.element = {
+            selector: this.getElementSelector(element),
+            tagName: element.tagName.toLowerCase()
+        };
+
+        return result;
+    }
+
+    /**
+     * Capture just what is on screen, at the current scroll position
+     */
+    async captureVisible(captureOptions = {}) {
+        const result = await this.captureArea({
+            x: window.pageXOffset,
+            y: window.pageYOffset,
+            width: document.documentElement.clientWidth || window.innerWidth,
+            height: document.documentElement.clientHeight || window.innerHeight
+        }, captureOptions);
+
+        result.metadata.captureType = 'visible';
+        return result;
+    }
+
+    /**
+     * Round an area to whole CSS pixels and keep it inside the page
+     */
+    clampArea(area, page) {
+        const x = Math.max(0, Math.round(area.x));
+        const y = Math.max(0, Math.round(area.y));
+
+        return {
+            x,
+            y,
+            width: Math.min(Math.round(area.x + area.width), page.width) - x,
+            height: Math.min(Math.round(area.y + area.height), page.height) - y
+        };
+    }
+
     /**
      * Analyze page characteristics to determine optimal capture strategy
      */
     async analyzePage() {
+        // contentWidth/Height exclude scrollbars, which show up in captured frames
         const viewport = {
             width: window.innerWidth,
-            height: window.innerHeight
+            height: window.innerHeight,
+            contentWidth: document.documentElement.clientWidth || window.innerWidth,
+            contentHeight: document.documentElement.clientHeight || window.innerHeight
         };
 
         const page = {
@@ -125,66 +302,234 @@ class ScreenshotEngine {
      */
     determineCaptureStrategy(analysis, options) {
         const { viewport, page, scrollableElements, iframes } = analysis;
+        const captureIframes = options.captureIframes !== false;
         
+        // Iframes with their own scrolling need a full capture even on short pages
+        const hasScrollingIframes = captureIframes &&
+            iframes.some(iframeInfo => iframeInfo.accessible && this.iframeHasOverflow(iframeInfo.element));
+
         // Simple viewport capture if page fits
-        if (page.height <= viewport.height * 1.1 && page.width <= viewport.width * 1.1) {
+        if (!hasScrollingIframes && page.height <= viewport.height * 1.1 && page.width <= viewport.width * 1.1) {
             return { type: 'viewport' };
         }
 
+        // Which axes need scrolling decides the shape of the section grid
+        const scrollDirection = this.getScrollDirection(analysis);
+
+        // Fixed and sticky elements would otherwise repeat in every section
+        const fixedElements = {
+            elements: analysis.fixedElements,
+            policy: options.fixedElementsPolicy || 'first'
+        };
+
         // Complex capture for pages with many scrollable elements or iframes
-        if (scrollableElements.length > 3 || iframes.length > 2) {
+        if (scrollableElements.length > 3 || iframes.length > 2 || hasScrollingIframes) {
             return {
                 type: 'complex',
                 scrollableElements,
-                iframes: options.captureIframes ? iframes : [],
-                sections: this.calculateSections(analysis)
+                iframes: captureIframes ? iframes : [],
+                fixedElements,
+                scrollDirection,
+                sections: this.calculateSections(analysis, scrollDirection)
             };
         }
 
         // Standard scrolling capture
         return {
             type: 'scroll',
-            sections: this.calculateSections(analysis),
-            scrollDirection: page.height > page.width ? 'vertical' : 'horizontal'
+            sections: this.calculateSections(analysis, scrollDirection),
+            fixedElements,
+            scrollDirection
         };
     }
 
+    needsScrolling(analysis) {
+        const { viewport, page } = analysis;
+        return page.height > viewport.height * 1.1 || page.width > viewport.width * 1.1;
+    }
+
+    /**
+     * Scroll through the whole page once so lazy-loaded content is in place
+     * before the real capture: IntersectionObserver loaders fire as content
+     * enters the viewport, data-src placeholders are swapped and native
+     * loading="lazy" is switched to eager. Pages without lazy-loading markup
+     * get a single probe step, and the pass only continues if that step made
+     * the page grow. Resolves whether the pass ran.
+     */
+    async preloadLazyContent(analysis) {
+        const originalScroll = { x: window.pageXOffset, y: window.pageYOffset };
+        const startHeight = this.getDocumentSize(document).height;
+        let probing = !analysis.hasLazyLoading;
+
+        this.log(probing ? 'Probing page for lazy content' : 'Pre-scrolling page to load lazy content');
+
+        try {
+            this.activateLazyElements();
+
+            // Infinite-scroll pages keep growing, so re-measure on every step
+            let y = probing ? window.innerHeight : 0;
+            for (let attempt = 0; attempt < this.options.maxScrollAttempts; attempt++) {
+                const { width, height } = this.getDocumentSize(document);
+                if (y >= height) break;
+
+                // Pages wider than the viewport are captured as a grid, so each row is swept across too
+                const columns = width > window.innerWidth * 1.1
+                    ? this.axisPositions(0, width, window.innerWidth, width - window.innerWidth)
+                    : [originalScroll.x];
+
+                for (const x of columns) {
+                    window.scrollTo(x, y);
+                    await this.waitForPaint();
+                    await this.sleep(150);
+                    this.activateLazyElements();
+                }
+
+                if (probing) {
+                    if (this.getDocumentSize(document).height <= startHeight) {
+                        return false;
+                    }
+                    // The page grew, so sweep it from the top after all
+                    probing = false;
+                    y = 0;
+                    continue;
+                }
+
+                y += window.innerHeight;
+            }
+
+            if (probing) {
+                return false;
+            }
+
+            await this.waitForNetworkIdle();
+            await this.waitForImages(false);
+            return true;
+
+        } finally {
+            window.scrollTo(originalScroll.x, originalScroll.y);
+            await this.waitForScrollComplete();
+        }
+    }
+
+    /**
+     * Swap common lazy-loading placeholders for the real sources
+     */
+    activateLazyElements() {
+        document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]').forEach(element => {
+            element.loading = 'eager';
+        });
+
+        document.querySelectorAll('img[data-src], img[data-lazy], source[data-src]').forEach(element => {
+            const source = element.dataset.src || element.dataset.lazy;
+            if (source && element.getAttribute('src') !== source) {
+                element.setAttribute('src', source);
+            }
+        });
+
+        document.querySelectorAll('img[data-srcset], source[data-srcset]').forEach(element => {
+            if (element.getAttribute('srcset') !== element.dataset.srcset) {
+                element.setAttribute('srcset', element.dataset.srcset);
+            }
+        });
+    }
+
+    /**
+     * Wait until no new resources have finished loading for a while
+     */
+    async waitForNetworkIdle(quietTime = 500, timeout = 5000) {
+        const start = Date.now();
+        let lastCount = performance.getEntriesByType('resource').length;
+        let quietSince = Date.now();
+
+        while (Date.now() - start < timeout) {
+            await this.sleep(100);
+
+            const count = performance.getEntriesByType('resource').length;
+            if (count !== lastCount) {
+                lastCount = count;
+                quietSince = Date.now();
+            } else if (Date.now() - quietSince >= quietTime) {
+                return;
+            }
+        }
+
+        this.log('Network did not settle before timeout');
+    }
+
+    getScrollDirection(analysis) {
+        const { viewport, page } = analysis;
+        // Allow a pixel of rounding slack before adding a whole row or column of frames
+        const horizontal = page.width - viewport.contentWidth > 1;
+        const vertical = page.height - viewport.contentHeight > 1;
+
+        if (horizontal && vertical) return 'both';
+        if (horizontal) return 'horizontal';
+        return 'vertical';
+    }
+
     /**
      * Calculate optimal sections for scrolling capture
+     *
+     * Sections form a row-major grid over the page, with 10% overlap between
+     * neighbours on each scrolled axis. Each section is one viewport-sized frame;
+     * contentWidth/Height is the part of it not covered by scrollbars.
      */
-    calculateSections(analysis) {
+    calculateSections(analysis, scrollDirection = 'vertical', bounds = null) {
         const { viewport, page } = analysis;
+        const area = bounds || { x: 0, y: 0, width: page.width, height: page.height };
         const sections = [];
 
-        if (page.height > viewport.height) {
-            const overlap = Math.floor(viewport.height * 0.1); // 10% overlap
-            const sectionHeight = viewport.height - overlap;
-            const numSections = Math.ceil(page.height / sectionHeight);
+        const rows = this.axisPositions(
+            area.y, area.height, viewport.contentHeight, page.height - viewport.contentHeight
+        );
+        const columns = this.axisPositions(
+            area.x, area.width, viewport.contentWidth, page.width - viewport.contentWidth
+        );
+
+        // An axis that does not scroll gets a single line of sections
+        if (scrollDirection === 'horizontal') rows.length = 1;
+        if (scrollDirection === 'vertical') columns.length = 1;
 
-            for (let i = 0; i < numSections; i++) {
-                const y = Math.min(i * sectionHeight, page.height - viewport.height);
+        rows.forEach((y, row) => {
+            columns.forEach((x, col) => {
                 sections.push({
-                    x: 0,
-                    y: y,
+                    x,
+                    y,
                     width: viewport.width,
                     height: viewport.height,
-                    index: i
+                    contentWidth: viewport.contentWidth,
+                    contentHeight: viewport.contentHeight,
+                    row,
+                    col,
+                    index: sections.length
                 });
-            }
-        } else {
-            // Single section
-            sections.push({
-                x: 0,
-                y: 0,
-                width: viewport.width,
-                height: viewport.height,
-                index: 0
             });
-        }
+        });
 
         return sections;
     }
 
+    /**
+     * Scroll offsets whose windows of size cover [start, start + length),
+     * overlapping by 10% and clamped to the scrollable range
+     */
+    axisPositions(start, length, size, maxScroll) {
+        const overlap = Math.floor(size * 0.1); // 10% overlap
+        const step = size - overlap;
+        const end = start + length;
+        const clamp = (position) => Math.max(0, Math.min(position, maxScroll));
+
+        const positions = [clamp(start)];
+        let last = positions[0];
+
+        while (last + size < end && last < maxScroll) {
+            last = clamp(last + step);
+            positions.push(last);
+        }
+
+        return positions;
+    }
+
     /**
      * Capture single viewport
      */
@@ -197,10 +542,11 @@ class ScreenshotEngine {
      * Capture with scrolling
      */
     async captureWithScrolling(strategy) {
-        this.log('Capturing with scrolling, sections:', strategy.sections.length);
+        this.log('Capturing with scrolling, sections:', strategy.sections.length, 'direction:', strategy.scrollDirection);
         
         const captures = [];
         const originalScroll = { x: window.pageXOffset, y: window.pageYOffset };
+        let hiddenFixed = [];
 
         try {
             for (let i = 0; i < strategy.sections.length; i++) {
@@ -209,6 +555,10 @@ class ScreenshotEngine {
                 // Scroll to section
                 await this.scrollToPosition(section.x, section.y);
                 
+                // Show fixed and sticky elements only on the sections the policy allows
+                this.restoreInlineStyles(hiddenFixed);
+                hiddenFixed = this.hideFixedElements(strategy.fixedElements, i, strategy.sections.length);
+                
                 // Wait for content to load and settle
                 await this.waitForContentStable();
                 
@@ -217,6 +567,8 @@ class ScreenshotEngine {
                 captures.push({
                     data: capture,
                     section: section,
+                    // The browser may clamp or round the requested position
+                    scroll: { x: window.pageXOffset, y: window.pageYOffset },
                     timestamp: Date.now()
                 });
 
@@ -227,11 +579,36 @@ class ScreenshotEngine {
             return captures;
 
         } finally {
+            // Put fixed elements back even if a section failed
+            this.restoreInlineStyles(hiddenFixed);
+
             // Restore original scroll position
             await this.scrollToPosition(originalScroll.x, originalScroll.y);
         }
     }
 
+    /**
+     * Hide fixed/sticky elements for a section according to the capture policy:
+     * 'first' shows them on the first section only, 'last' on the last section
+     * only and 'hide' never. Returns the saved styles for restoreInlineStyles.
+     */
+    hideFixedElements(fixedElements, index, total) {
+        if (!fixedElements || fixedElements.elements.length === 0 || total < 2) {
+            return [];
+        }
+
+        const { policy } = fixedElements;
+        const visible = (policy === 'first' && index === 0) ||
+                        (policy === 'last' && index === total - 1);
+        if (visible) {
+            return [];
+        }
+
+        return fixedElements.elements
+            .filter(({ element }) => element.isConnected)
+            .map(({ element }) => this.setInlineStyle(element, 'visibility', 'hidden'));
+    }
+
     /**
      * Complex capture with scrollable elements and iframes
      */
@@ -239,53 +616,380 @@ class ScreenshotEngine {
         this.log('Capturing complex page');
         
         const captures = [];
+        const elements = [];
 
         // First capture main page sections
         const mainCaptures = await this.captureWithScrolling(strategy);
         captures.push(...mainCaptures);
 
-        // Capture scrollable elements
+        // Capture the full content of scrollable elements as separate images
         for (const element of strategy.scrollableElements) {
             try {
-                const elementCaptures = await this.captureScrollableElement(element);
-                captures.push(...elementCaptures);
+                elements.push(await this.captureScrollableElement(element));
             } catch (error) {
                 this.log('Failed to capture scrollable element:', error);
             }
         }
 
-        // Capture accessible iframes
+        // Capture accessible iframes that scroll internally; the rest are already in the page frames
+        const iframes = [];
         for (const iframeInfo of strategy.iframes) {
-            if (iframeInfo.accessible) {
-                try {
-                    const iframeCapture = await this.captureIframe(iframeInfo);
-                    if (iframeCapture) {
-                        captures.push(iframeCapture);
-                    }
-                } catch (error) {
-                    this.log('Failed to capture iframe:', error);
-                }
+            if (!iframeInfo.accessible || !this.iframeHasOverflow(iframeInfo.element)) {
+                continue;
+            }
+
+            try {
+                iframes.push(await this.captureIframe(iframeInfo));
+            } catch (error) {
+                this.log('Failed to capture iframe:', error);
+                iframes.push({ element: iframeInfo.element, error: error.message });
             }
         }
 
-        return captures;
+        return { sections: captures, elements, iframes };
+    }
+
+    /**
+     * Capture the whole document of a same-origin iframe
+     */
+    async captureIframe(iframeInfo) {
+        const iframe = iframeInfo.element;
+        const frameWindow = iframe.contentWindow;
+        const frameDocument = iframe.contentDocument;
+
+        this.log('Capturing iframe:', iframe.src);
+
+        // Where the iframe's content box sits on the page, for compositing
+        const rect = iframe.getBoundingClientRect();
+        const pageRect = {
+            x: rect.left + window.pageXOffset + iframe.clientLeft,
+            y: rect.top + window.pageYOffset + iframe.clientTop,
+            width: iframe.clientWidth,
+            height: iframe.clientHeight
+        };
+
+        const result = await this.captureScrollContainer({
+            host: iframe,
+            getClientRect: () => {
+                const current = iframe.getBoundingClientRect();
+                return {
+                    left: current.left + iframe.clientLeft,
+                    top: current.top + iframe.clientTop,
+                    width: iframe.clientWidth,
+                    height: iframe.clientHeight
+                };
+            },
+            getScrollSize: () => this.getDocumentSize(frameDocument),
+            getScroll: () => ({ x: frameWindow.scrollX, y: frameWindow.scrollY }),
+            scrollTo: (x, y) => frameWindow.scrollTo(x, y)
+        });
+
+        return {
+            ...result,
+            element: iframe,
+            pageRect
+        };
+    }
+
+    /**
+     * Capture a single scrollable element as a standalone image
+     */
+    async captureScrollArea(element) {
+        if (this.isCapturing) {
+            throw new Error('Capture already in progress');
+        }
+
+        this.isCapturing = true;
+        this.captureId = Date.now().toString();
+        this.frameTimings = [];
+        const removeHideRules = this.applyHideRules();
+
+        try {
+            const pageAnalysis = await this.analyzePage();
+            const capture = await this.captureScrollableElement(element);
+
+            return {
+                imageData: capture.imageData,
+                metadata: {
+                    ...this.describeAnalysis(pageAnalysis),
+                    captureType: 'scroll-area',
+                    selector: capture.selector,
+                    content: { width: capture.width, height: capture.height },
+                    sections: capture.frames,
+                    frameTimings: this.frameTimings,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        } finally {
+            removeHideRules();
+            this.isCapturing = false;
+            this.captureId = null;
+        }
+    }
+
+    /**
+     * Capture the entire scrollable content of an inner scroll container
+     */
+    async captureScrollableElement(element) {
+        this.log('Capturing scrollable element:', element);
+
+        const result = await this.captureScrollContainer({
+            host: element,
+            getClientRect: () => {
+                const rect = element.getBoundingClientRect();
+                return {
+                    left: rect.left + element.clientLeft,
+                    top: rect.top + element.clientTop,
+                    width: element.clientWidth,
+                    height: element.clientHeight
+                };
+            },
+            getScrollSize: () => ({ width: element.scrollWidth, height: element.scrollHeight }),
+            getScroll: () => ({ x: element.scrollLeft, y: element.scrollTop }),
+            scrollTo: (x, y) => element.scrollTo(x, y)
+        });
+
+        return {
+            ...result,
+            selector: this.getElementSelector(element)
+        };
+    }
+
+    /**
+     * Scroll a container through its whole content and stitch the visible
+     * client area of each step into one image.
+     *
+     * The container describes itself through callbacks so the same loop
+     * serves scrollable elements and iframe documents.
+     */
+    async captureScrollContainer(container) {
+        const originalWindowScroll = { x: window.pageXOffset, y: window.pageYOffset };
+        const originalScroll = container.getScroll();
+
+        try {
+            container.scrollTo(0, 0);
+            container.host.scrollIntoView({ block: 'start', inline: 'start' });
+            await this.waitForContentStable();
+
+            const size = container.getScrollSize();
+            const client = container.getClientRect();
+
+            // Only the part of the container inside the viewport can be grabbed
+            const visible = {
+                left: Math.max(client.left, 0),
+                top: Math.max(client.top, 0),
+                right: Math.min(client.left + client.width, window.innerWidth),
+                bottom: Math.min(client.top + client.height, window.innerHeight)
+            };
+            const visibleWidth = visible.right - visible.left;
+            const visibleHeight = visible.bottom - visible.top;
+
+            if (visibleWidth <= 0 || visibleHeight <= 0) {
+                throw new Error('Scroll container is not visible');
+            }
+
+            const positions = [];
+            for (let y = 0; y < size.height; y += visibleHeight) {
+                for (let x = 0; x < size.width; x += visibleWidth) {
+                    positions.push({ x, y });
+                }
+            }
+
+            const scale = window.devicePixelRatio || 1;
+            const ops = [];
+
+            for (let i = 0; i < positions.length; i++) {
+                container.scrollTo(positions[i].x, positions[i].y);
+                await this.sleep(this.options.scrollDelay);
+                await this.waitForPaint();
+
+                // Scroll positions near the end are clamped by the browser
+                const scroll = container.getScroll();
+                const data = await this.captureVisibleArea();
+                const img = await this.loadImage(data);
+                const frameScale = img.width / window.innerWidth;
+
+                // Content coordinates of the top-left visible pixel
+                const contentX = scroll.x + (visible.left - client.left);
+                const contentY = scroll.y + (visible.top - client.top);
+
+                ops.push({
+                    data,
+                    sx: Math.round(visible.left * frameScale),
+                    sy: Math.round(visible.top * frameScale),
+                    sw: Math.round(visibleWidth * frameScale),
+                    sh: Math.round(visibleHeight * frameScale),
+                    dx: Math.round(contentX * scale),
+                    dy: Math.round(contentY * scale),
+                    dw: Math.round(visibleWidth * scale),
+                    dh: Math.round(visibleHeight * scale)
+                });
+
+                this.updateProgress((i + 1) / positions.length);
+            }
+
+            // A scroll container becomes a single image, shrunk if it is too large for one canvas
+            const output = await this.renderOutput(
+                ops, Math.round(size.width * scale), Math.round(size.height * scale), 'downscale'
+            );
+
+            return {
+                imageData: output.tiles[0].imageData,
+                width: size.width,
+                height: size.height,
+                imageWidth: output.width,
+                imageHeight: output.height,
+                frames: positions.length
+            };
+
+        } finally {
+            container.scrollTo(originalScroll.x, originalScroll.y);
+            window.scrollTo(originalWindowScroll.x, originalWindowScroll.y);
+        }
     }
 
     /**
      * Capture visible area using Chrome API
      */
     async captureVisibleArea() {
-        return new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage({ action: 'captureTab' }, (response) => {
-                if (response && response.success) {
-                    resolve(response.data);
-                } else {
-                    reject(new Error(response?.error || 'Failed to capture visible area'));
+        // Keep our own UI (progress indicator etc.) out of the frame
+        const excluded = this.hideExcludedElements();
+        if (excluded.length > 0) {
+            await this.waitForPaint();
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({ action: 'captureTab' }, (response) => {
+                    if (response && response.success) {
+                        // Queue wait, capture time and retries reported by the background worker
+                        if (response.timing) {
+                            this.frameTimings.push(response.timing);
+                        }
+                        resolve(response.data);
+                    } else {
+                        reject(new Error(response?.error || 'Failed to capture visible area'));
+                    }
+                });
+            });
+        } finally {
+            this.restoreInlineStyles(excluded);
+        }
+    }
+
+    /**
+     * Freeze the page so consecutive frames show the same state: CSS and Web
+     * Animations are paused, playing videos stop on their current frame, the
+     * text caret is hidden and the page's requestAnimationFrame callbacks are
+     * held back. Returns an async function that undoes all of it.
+     */
+    async freezePage() {
+        const animations = typeof document.getAnimations === 'function'
+            ? document.getAnimations().filter(animation => animation.playState === 'running')
+            : [];
+        animations.forEach(animation => animation.pause());
+
+        const videos = Array.from(document.querySelectorAll('video')).filter(video => !video.paused);
+        videos.forEach(video => video.pause());
+
+        // Also covers animations and transitions that would start while scrolling
+        const style = document.createElement('style');
+        style.id = 'screenshot-freeze';
+        style.textContent = `
+            *, *::before, *::after {
+                animation-play-state: paused !important;
+                transition: none !important;
+                caret-color: transparent !important;
+            }
+        `;
+        (document.head || document.documentElement).appendChild(style);
+
+        await this.setPageTickersFrozen(true);
+
+        return async () => {
+            style.remove();
+            animations.forEach(animation => animation.play());
+            videos.forEach(video => video.play().catch(() => {}));
+            await this.setPageTickersFrozen(false);
+        };
+    }
+
+    /**
+     * Hold back or release requestAnimationFrame callbacks in the page. The
+     * page's own scripts run in another world, so the background worker
+     * patches them there.
+     */
+    setPageTickersFrozen(frozen) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'setPageFrozen', frozen }, (response) => {
+                if (!response || !response.success) {
+                    this.log('Could not freeze page tickers:', response?.error);
                 }
+                resolve();
             });
         });
     }
 
+    /**
+     * Hide elements matching the user's hide rules with a temporary stylesheet.
+     * visibility keeps the layout unchanged, so measured positions stay valid.
+     * Returns a function that removes the stylesheet again.
+     */
+    applyHideRules() {
+        const selectors = this.options.hideSelectors.filter(Boolean);
+        if (selectors.length === 0) {
+            return () => {};
+        }
+
+        const style = document.createElement('style');
+        style.id = 'screenshot-hide-rules';
+        // One rule per selector so an invalid selector only drops its own rule
+        style.textContent = selectors
+            .map(selector => `${selector} { visibility: hidden !important; }`)
+            .join('\n');
+        (document.head || document.documentElement).appendChild(style);
+
+        return () => style.remove();
+    }
+
+    /**
+     * Temporarily hide elements matching excludeSelectors
+     */
+    hideExcludedElements() {
+        const selectors = this.options.excludeSelectors;
+        if (!selectors || selectors.length === 0) return [];
+
+        const elements = Array.from(document.querySelectorAll(selectors.join(',')));
+        return elements.map(element => this.setInlineStyle(element, 'visibility', 'hidden'));
+    }
+
+    /**
+     * Override an inline style with !important, returning what is needed to undo it
+     */
+    setInlineStyle(element, property, value) {
+        const saved = {
+            element,
+            property,
+            value: element.style.getPropertyValue(property),
+            priority: element.style.getPropertyPriority(property)
+        };
+        element.style.setProperty(property, value, 'important');
+        return saved;
+    }
+
+    /**
+     * Restore inline styles saved by setInlineStyle
+     */
+    restoreInlineStyles(savedStyles) {
+        for (const { element, property, value, priority } of savedStyles) {
+            if (value) {
+                element.style.setProperty(property, value, priority);
+            } else {
+                element.style.removeProperty(property);
+            }
+        }
+    }
+
     /**
      * Scroll to specific position with smooth animation
      */
@@ -364,11 +1068,11 @@ class ScreenshotEngine {
     }
 
     /**
-     * Wait for images in viewport to load
+     * Wait for images in viewport (or the whole page) to load
      */
-    async waitForImages() {
+    async waitForImages(onlyInViewport = true) {
         const images = Array.from(document.querySelectorAll('img'))
-            .filter(img => this.isElementInViewport(img) && !img.complete);
+            .filter(img => (!onlyInViewport || this.isElementInViewport(img)) && !img.complete);
 
         if (images.length === 0) return;
 
@@ -381,10 +1085,12 @@ class ScreenshotEngine {
                         resolve(); // Resolve anyway after timeout
                     }, 2000);
                     
-                    img.onload = img.onerror = () => {
+                    const done = () => {
                         clearTimeout(timeout);
                         resolve();
                     };
+                    img.addEventListener('load', done, { once: true });
+                    img.addEventListener('error', done, { once: true });
                 }
             });
         });
@@ -401,14 +1107,7 @@ class ScreenshotEngine {
         const allElements = document.querySelectorAll('*');
         
         for (const element of allElements) {
-            const style = window.getComputedStyle(element);
-            const hasScrollableContent = element.scrollHeight > element.clientHeight ||
-                                       element.scrollWidth > element.clientWidth;
-            
-            if (hasScrollableContent && 
-                (style.overflow === 'auto' || style.overflow === 'scroll' ||
-                 style.overflowY === 'auto' || style.overflowY === 'scroll' ||
-                 style.overflowX === 'auto' || style.overflowX === 'scroll')) {
+            if (this.isScrollableElement(element)) {
                 elements.push(element);
             }
         }
@@ -416,15 +1115,81 @@ class ScreenshotEngine {
         return elements;
     }
 
+    isScrollableElement(element) {
+        // The document scroller is handled by the page capture itself
+        if (element === document.documentElement || element === document.body) {
+            return false;
+        }
+
+        // Ignore tiny scrollers such as select lists and text inputs
+        if (element.clientWidth < 50 || element.clientHeight < 50) {
+            return false;
+        }
+
+        const style = window.getComputedStyle(element);
+        const hasScrollableContent = element.scrollHeight > element.clientHeight ||
+                                   element.scrollWidth > element.clientWidth;
+
+        return hasScrollableContent &&
+            (style.overflow === 'auto' || style.overflow === 'scroll' ||
+             style.overflowY === 'auto' || style.overflowY === 'scroll' ||
+             style.overflowX === 'auto' || style.overflowX === 'scroll');
+    }
+
+    findScrollableAncestor(element) {
+        let current = element;
+        while (current && current !== document.documentElement) {
+            if (this.isScrollableElement(current)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Build a CSS selector that uniquely identifies an element
+     */
+    getElementSelector(element) {
+        const parts = [];
+        let current = element;
+
+        while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+            if (current.id) {
+                parts.unshift(`#${CSS.escape(current.id)}`);
+                break;
+            }
+
+            let part = current.tagName.toLowerCase();
+            const parent = current.parentElement;
+            if (parent) {
+                const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+                if (siblings.length > 1) {
+                    part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+                }
+            }
+
+            parts.unshift(part);
+            current = parent;
+        }
+
+        return parts.join(' > ');
+    }
+
     findFixedElements() {
         const elements = [];
         const allElements = document.querySelectorAll('*');
+        const excluded = this.options.excludeSelectors.join(',');
         
         for (const element of allElements) {
+            // Our own UI is handled by excludeSelectors
+            if (excluded && element.matches(excluded)) continue;
+
             const style = window.getComputedStyle(element);
-            if (style.position === 'fixed') {
+            if (style.position === 'fixed' || style.position === 'sticky') {
                 elements.push({
                     element,
+                    position: style.position,
                     rect: element.getBoundingClientRect()
                 });
             }
@@ -435,17 +1200,59 @@ class ScreenshotEngine {
 
     isIframeAccessible(iframe) {
         try {
-            // Try to access iframe content
-            iframe.contentDocument;
-            return true;
+            // Cross-origin frames expose no contentDocument (or throw on access)
+            return Boolean(iframe.contentDocument && iframe.contentDocument.documentElement);
         } catch (error) {
             return false;
         }
     }
 
+    iframeHasOverflow(iframe) {
+        if (!this.isIframeAccessible(iframe) || iframe.clientWidth === 0 || iframe.clientHeight === 0) {
+            return false;
+        }
+
+        const size = this.getDocumentSize(iframe.contentDocument);
+        return size.height > iframe.clientHeight || size.width > iframe.clientWidth;
+    }
+
+    getDocumentSize(doc) {
+        return {
+            width: Math.max(doc.documentElement.scrollWidth, doc.body ? doc.body.scrollWidth : 0),
+            height: Math.max(doc.documentElement.scrollHeight, doc.body ? doc.body.scrollHeight : 0)
+        };
+    }
+
+    /**
+     * Report what happened to each iframe for the capture metadata
+     */
+    describeIframes(iframes, captured = []) {
+        return iframes.map(iframeInfo => {
+            const iframe = iframeInfo.element;
+            const report = {
+                src: iframe.src || 'about:blank',
+                selector: this.getElementSelector(iframe)
+            };
+            const capture = captured.find(entry => entry.element === iframe);
+
+            if (!iframeInfo.accessible) {
+                return { ...report, status: 'skipped', reason: 'Cross-origin iframe content cannot be read' };
+            }
+            if (capture && capture.error) {
+                return { ...report, status: 'skipped', reason: capture.error };
+            }
+            if (capture) {
+                return { ...report, status: 'captured', content: { width: capture.width, height: capture.height } };
+            }
+            return { ...report, status: 'inline', reason: 'Content fits inside the iframe' };
+        });
+    }
+
     detectLazyLoading() {
         // Check for common lazy loading attributes
-        const lazyImages = document.querySelectorAll('img[loading="lazy"], img[data-src], img[data-lazy]');
+        const lazyImages = document.querySelectorAll(
+            'img[loading="lazy"], iframe[loading="lazy"], img[data-src], img[data-srcset], img[data-lazy], source[data-srcset]'
+        );
         return lazyImages.length > 0;
     }
 
@@ -459,6 +1266,11 @@ class ScreenshotEngine {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    waitForPaint() {
+        // Two frames: style changes are applied in the first, painted by the second
+        return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }
+
     updateProgress(progress) {
         // Dispatch progress event
         window.dispatchEvent(new CustomEvent('screenshotProgress', {
@@ -476,56 +1288,336 @@ class ScreenshotEngine {
      * Process capture result into final image
      */
     async processResult(captures, analysis, options) {
-        if (!Array.isArray(captures)) {
+        const iframeCaptures = options.captureIframes !== false
+            ? this.describeIframes(analysis.iframes, captures && captures.iframes)
+            : [];
+
+        if (!Array.isArray(captures) && !(captures && captures.sections)) {
             // Single capture
             return {
                 imageData: captures,
                 metadata: {
-                    ...analysis,
+                    ...this.describeAnalysis(analysis),
                     captureType: 'single',
+                    iframeCaptures,
+                    frameTimings: this.frameTimings,
                     timestamp: new Date().toISOString()
                 }
             };
         }
 
-        // Multiple captures need stitching
-        const stitchedImage = await this.stitchImages(captures, analysis);
+        // Complex captures composite iframe content into the page and add scroll container images
+        const isComplex = !Array.isArray(captures);
+        const sections = isComplex ? captures.sections : captures;
+        const iframes = isComplex ? captures.iframes.filter(iframe => !iframe.error) : [];
+
+        const output = await this.stitchImages(sections, analysis, {
+            iframes,
+            oversizeMode: options.oversizeMode
+        });
         
-        return {
-            imageData: stitchedImage,
+        const result = {
+            imageData: output.tiles[0].imageData,
             metadata: {
-                ...analysis,
-                captureType: 'stitched',
-                sections: captures.length,
+                ...this.describeAnalysis(analysis),
+                captureType: isComplex ? 'complex' : 'stitched',
+                sections: sections.length,
+                iframeCaptures,
+                frameTimings: this.frameTimings,
+                ...this.describeOutput(output),
                 timestamp: new Date().toISOString()
             }
         };
+
+        if (output.tiles.length > 1) {
+            result.tiles = output.tiles;
+        }
+
+        if (isComplex) {
+            result.attachments = captures.elements.map(element => ({
+                label: element.selector,
+                imageData: element.imageData,
+                width: element.width,
+                height: element.height
+            }));
+        }
+
+        return result;
     }
 
     /**
-     * Stitch multiple captures into single image
+     * Metadata for a rendered output: final size, scaling and tile offsets
      */
-    async stitchImages(captures, analysis) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Set canvas dimensions
-        canvas.width = analysis.page.width;
-        canvas.height = analysis.page.height;
+    describeOutput(output) {
+        const description = {
+            output: {
+                mode: output.mode,
+                width: output.width,
+                height: output.height,
+                scale: output.scale
+            }
+        };
+
+        if (output.tiles.length > 1) {
+            description.tiles = output.tiles.map(({ index, x, y, width, height }) => ({ index, x, y, width, height }));
+        }
+
+        return description;
+    }
+
+    /**
+     * Serializable summary of a page analysis (no DOM references)
+     */
+    describeAnalysis(analysis) {
+        return {
+            viewport: analysis.viewport,
+            page: analysis.page,
+            scroll: analysis.scroll,
+            devicePixelRatio: analysis.devicePixelRatio,
+            hasLazyLoading: analysis.hasLazyLoading,
+            lazyContentPreloaded: analysis.lazyContentPreloaded === true,
+            animationsFrozen: analysis.animationsFrozen === true,
+            scrollableElements: analysis.scrollableElements.length,
+            iframes: analysis.iframes.length,
+            fixedElements: analysis.fixedElements.length,
+            url: analysis.url,
+            title: analysis.title
+        };
+    }
+
+    /**
+     * Stitch multiple captures into the final output
+     *
+     * Iframe captures are composited at their page position. When an iframe's
+     * content is taller than its box, the page below it is pushed down to make
+     * room, so the whole iframe document is visible.
+     *
+     * Returns the output from renderOutput: one image, or ordered tiles when
+     * the page is too large for a single canvas.
+     */
+    async stitchImages(captures, analysis, { iframes = [], oversizeMode = 'tile', bounds = null } = {}) {
+        // Page area to output, the whole page unless capturing a region
+        const area = bounds || { x: 0, y: 0, width: analysis.page.width, height: analysis.page.height };
+        const areaRight = area.x + area.width;
+        const areaBottom = area.y + area.height;
+
+        // Page rows where extra height is inserted for expanded iframes
+        const insertions = iframes
+            .map(iframe => ({
+                at: iframe.pageRect.y + iframe.pageRect.height,
+                extra: Math.max(0, iframe.height - iframe.pageRect.height)
+            }))
+            .filter(insertion => insertion.extra > 0)
+            .sort((a, b) => a.at - b.at);
+        const totalExtra = insertions.reduce((sum, insertion) => sum + insertion.extra, 0);
+        const outputY = (y) => y + insertions
+            .filter(insertion => insertion.at <= y)
+            .reduce((sum, insertion) => sum + insertion.extra, 0);
         
-        // Fill background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        // Work in device pixels so HiDPI frames are stitched at native resolution
+        const scale = analysis.devicePixelRatio || 1;
+        const width = Math.round(area.width * scale);
+        const height = Math.round((area.height + totalExtra) * scale);
+
+        // Frames can differ from devicePixelRatio (e.g. browser zoom), so measure one
+        const firstFrame = await this.loadImage(captures[0].data);
+        const frameScale = firstFrame.width / captures[0].section.width;
 
-        // Draw each capture
+        const ops = [];
+
+        // Page area (CSS pixels) already drawn: rows by earlier grid rows,
+        // columns by earlier sections of the current grid row
+        let coveredBottom = area.y;
+        let rowBottom = area.y;
+        let coveredRight = area.x;
+        let currentRow = null;
+
+        // Draw each capture, trimming the overlap with the sections above and to the left
         for (const capture of captures) {
-            const img = await this.loadImage(capture.data);
             const section = capture.section;
-            
-            ctx.drawImage(img, section.x, section.y);
+            const scroll = capture.scroll || { x: section.x, y: section.y };
+
+            if (section.row !== currentRow) {
+                currentRow = section.row;
+                coveredBottom = rowBottom;
+                coveredRight = area.x;
+            }
+
+            const contentWidth = section.contentWidth || section.width;
+            const contentHeight = section.contentHeight || section.height;
+
+            const visible = {
+                left: Math.max(coveredRight, scroll.x),
+                right: Math.min(scroll.x + contentWidth, areaRight),
+                top: Math.max(coveredBottom, scroll.y),
+                bottom: Math.min(scroll.y + contentHeight, areaBottom)
+            };
+            if (visible.right <= visible.left || visible.bottom <= visible.top) continue;
+
+            // Split the frame where expanded iframes shift the rows below them
+            const cuts = insertions
+                .map(insertion => insertion.at)
+                .filter(at => at > visible.top && at < visible.bottom);
+            const edges = [visible.top, ...cuts, visible.bottom];
+
+            for (let i = 0; i < edges.length - 1; i++) {
+                const part = { ...visible, top: edges[i], bottom: edges[i + 1] };
+                const dest = { x: part.left - area.x, y: outputY(part.top) - area.y };
+                ops.push(this.frameAreaOp(capture, scroll, part, dest, scale, frameScale));
+            }
+
+            coveredRight = visible.right;
+            rowBottom = Math.max(rowBottom, visible.bottom);
+        }
+
+        // Composite full iframe documents over their boxes
+        for (const iframe of iframes) {
+            const visibleWidth = Math.min(iframe.pageRect.width, iframe.width);
+
+            ops.push({
+                data: iframe.imageData,
+                sx: 0,
+                sy: 0,
+                sw: Math.round(iframe.imageWidth * visibleWidth / iframe.width),
+                sh: iframe.imageHeight,
+                dx: Math.round((iframe.pageRect.x - area.x) * scale),
+                dy: Math.round((outputY(iframe.pageRect.y) - area.y) * scale),
+                dw: Math.round(visibleWidth * scale),
+                dh: Math.round(iframe.height * scale)
+            });
+        }
+
+        return await this.renderOutput(ops, width, height, oversizeMode);
+    }
+
+    /**
+     * Draw operation for a page area of a frame, placed at dest in the output (CSS pixels)
+     */
+    frameAreaOp(capture, scroll, area, dest, scale, frameScale) {
+        const srcX = Math.round((area.left - scroll.x) * frameScale);
+        const srcY = Math.round((area.top - scroll.y) * frameScale);
+        const destX = Math.round(dest.x * scale);
+        const destY = Math.round(dest.y * scale);
+
+        return {
+            data: capture.data,
+            sx: srcX,
+            sy: srcY,
+            sw: Math.round((area.right - scroll.x) * frameScale) - srcX,
+            sh: Math.round((area.bottom - scroll.y) * frameScale) - srcY,
+            dx: destX,
+            dy: destY,
+            dw: Math.round((dest.x + area.right - area.left) * scale) - destX,
+            dh: Math.round((dest.y + area.bottom - area.top) * scale) - destY
+        };
+    }
+
+    /**
+     * Decide how an output of width x height device pixels fits into canvases
+     */
+    planOutput(width, height, oversizeMode) {
+        const { maxDimension, maxArea } = ScreenshotEngine.CANVAS_LIMITS;
+
+        if (width <= maxDimension && height <= maxDimension && width * height <= maxArea) {
+            return { mode: 'single', scale: 1, tiles: [{ x: 0, y: 0, width, height }] };
+        }
+
+        if (oversizeMode === 'downscale') {
+            const scale = Math.min(
+                maxDimension / width,
+                maxDimension / height,
+                Math.sqrt(maxArea / (width * height))
+            );
+            return {
+                mode: 'downscale',
+                scale,
+                tiles: [{ x: 0, y: 0, width: Math.floor(width * scale), height: Math.floor(height * scale) }]
+            };
         }
 
-        return canvas.toDataURL('image/png', this.options.stitchingQuality);
+        // Row-major grid of tiles, each within the limits
+        const tileWidth = Math.min(width, maxDimension);
+        const tileHeight = Math.min(height, maxDimension, Math.floor(maxArea / tileWidth));
+        const tiles = [];
+
+        for (let y = 0; y < height; y += tileHeight) {
+            for (let x = 0; x < width; x += tileWidth) {
+                tiles.push({
+                    x,
+                    y,
+                    width: Math.min(tileWidth, width - x),
+                    height: Math.min(tileHeight, height - y)
+                });
+            }
+        }
+
+        return { mode: 'tile', scale: 1, tiles };
+    }
+
+    /**
+     * Render draw operations (in output device pixels) into one or more images.
+     * Tiles are rendered one at a time so only a single canvas is alive.
+     */
+    async renderOutput(ops, width, height, oversizeMode) {
+        const plan = this.planOutput(width, height, oversizeMode);
+        const tiles = [];
+
+        let cachedData = null;
+        let cachedImage = null;
+
+        for (let index = 0; index < plan.tiles.length; index++) {
+            const tile = plan.tiles[index];
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            canvas.width = tile.width;
+            canvas.height = tile.height;
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Map full output coordinates onto this tile
+            ctx.imageSmoothingQuality = 'high';
+            ctx.setTransform(plan.scale, 0, 0, plan.scale, -tile.x, -tile.y);
+
+            for (const op of ops) {
+                const left = op.dx * plan.scale;
+                const top = op.dy * plan.scale;
+                const right = (op.dx + op.dw) * plan.scale;
+                const bottom = (op.dy + op.dh) * plan.scale;
+                if (right <= tile.x || left >= tile.x + tile.width ||
+                    bottom <= tile.y || top >= tile.y + tile.height) {
+                    continue;
+                }
+
+                if (op.data !== cachedData) {
+                    cachedImage = await this.loadImage(op.data);
+                    cachedData = op.data;
+                }
+
+                ctx.drawImage(cachedImage, op.sx, op.sy, op.sw, op.sh, op.dx, op.dy, op.dw, op.dh);
+            }
+
+            tiles.push({
+                index,
+                x: tile.x,
+                y: tile.y,
+                width: tile.width,
+                height: tile.height,
+                imageData: canvas.toDataURL('image/png', this.options.stitchingQuality)
+            });
+
+            // Release the backing store before the next tile
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+
+        return {
+            mode: plan.mode,
+            scale: plan.scale,
+            width: Math.floor(width * plan.scale),
+            height: Math.floor(height * plan.scale),
+            tiles
+        };
     }
 
     /**
@@ -6,16 +6,27 @@
 // Global state
 let currentImageData = null;
 let currentMetadata = null;
+let currentImages = [];
+// Page markup saved with the capture: { format, content }, or null
+let currentPageSource = null;
 let currentZoom = 1;
 let isDragging = false;
 let dragStart = { x: 0, y: 0 };
 let imagePosition = { x: 0, y: 0 };
 
+// Comparison with an earlier capture, drawn over the screenshot
+let compareResult = null;
+let compareImage = null;
+let compareObjectUrl = null;
+let compareView = 'diff';
+let selectedRegion = -1;
+
 
 // DOM elements
 let screenshotImage, imageContainer, imageInfo, zoomLevel;
 let zoomInBtn, zoomOutBtn, fitToScreenBtn, downloadBtn, copyBtn, editBtn;
-let exportFormat, loadingSpinner;
+let exportFormat, loadingSpinner, imageStrip;
+let compareBtn, comparePanel, compareCanvas, compareSource, compareFile, compareAmount, compareSummary, regionList;
 
 // Initialize viewer when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializeViewer);
@@ -41,6 +52,15 @@ function initializeViewer() {
     editBtn = document.getElementById('editBtn');
     exportFormat = document.getElementById('exportFormat');
     loadingSpinner = document.getElementById('loadingSpinner');
+    imageStrip = document.getElementById('imageStrip');
+    compareBtn = document.getElementById('compareBtn');
+    comparePanel = document.getElementById('comparePanel');
+    compareCanvas = document.getElementById('compareCanvas');
+    compareSource = document.getElementById('compareSource');
+    compareFile = document.getElementById('compareFile');
+    compareAmount = document.getElementById('compareAmount');
+    compareSummary = document.getElementById('compareSummary');
+    regionList = document.getElementById('regionList');
 
     
     // Set up event listeners
@@ -65,6 +85,22 @@ function setupEventListeners() {
     downloadBtn.addEventListener('click', downloadImage);
     copyBtn.addEventListener('click', copyToClipboard);
     editBtn.addEventListener('click', openEditor);
+    
+    // Comparison controls
+    compareBtn.addEventListener('click', toggleComparePanel);
+    document.getElementById('closeCompare').addEventListener('click', closeCompare);
+    document.getElementById('compareFileBtn').addEventListener('click', () => compareFile.click());
+    compareSource.addEventListener('change', () => {
+        if (compareSource.value) {
+            compareWithHistoryEntry(compareSource.value);
+        }
+    });
+    compareFile.addEventListener('change', compareWithFile);
+    compareAmount.addEventListener('input', applyCompareView);
+    document.querySelectorAll('[data-compare-view]').forEach(btn => {
+        btn.addEventListener('click', () => setCompareView(btn.dataset.compareView));
+    });
+    window.addEventListener('resize', syncCompareOverlay);
 
     // Close button
     const closeBtn = document.getElementById('closeBtn');
@@ -101,7 +137,15 @@ function handleMessage(message, sender, sendResponse) {
     
     switch (message.action) {
         case 'loadScreenshot':
-            loadScreenshot(message.imageData, message.metadata);
+            loadScreenshot(message.imageData, message.metadata, message.images, message.pageSource);
+            sendResponse({ success: true });
+            break;
+            
+        case 'loadScreenshotImage':
+            // Extra images arrive one per message after the capture itself
+            if (currentImages[message.index + 1]) {
+                currentImages[message.index + 1].imageData = message.imageData;
+            }
             sendResponse({ success: true });
             break;
             
@@ -114,11 +158,24 @@ function handleMessage(message, sender, sendResponse) {
 /**
  * Load screenshot data into viewer
  */
-function loadScreenshot(imageData, metadata) {
+function loadScreenshot(imageData, metadata, images = [], pageSource = null) {
     console.log('Loading screenshot with metadata:', metadata);
     
+    closeCompare();
     currentImageData = imageData;
     currentMetadata = metadata;
+    currentPageSource = pageSource;
+    downloadBtn.title = pageSource ? `Also saves the page source (${pageSource.format.toUpperCase()})` : '';
+    const capture = metadata?.capture || {};
+    const tiles = capture.tiles;
+    currentImages = [
+        {
+            label: tiles ? `Tile 1 of ${tiles.length}` : (capture.label || 'Page'),
+            suffix: capture.suffix,
+            imageData
+        },
+        ...images
+    ];
     
     // Update image source
     screenshotImage.src = imageData;
@@ -126,10 +183,57 @@ function loadScreenshot(imageData, metadata) {
     // Update image info
     updateImageInfo();
     
+    // List extra images captured alongside the page
+    renderImageStrip();
+    
     // Hide loading spinner
     hideLoading();
 }
 
+/**
+ * Show a selector for the extra images of a capture
+ */
+function renderImageStrip() {
+    imageStrip.innerHTML = '';
+    imageStrip.classList.toggle('hidden', currentImages.length < 2);
+    
+    currentImages.forEach((image, index) => {
+        const button = document.createElement('button');
+        button.className = 'strip-item';
+        button.textContent = image.label;
+        button.title = image.label;
+        button.classList.toggle('active', index === 0);
+        button.addEventListener('click', () => selectImage(index));
+        imageStrip.appendChild(button);
+    });
+}
+
+/**
+ * Switch the viewer to one of the images of the current capture
+ */
+function selectImage(index) {
+    const image = currentImages[index];
+    if (!image || !image.imageData) return;
+    
+    // A comparison belongs to the image it was made for
+    closeCompare();
+    
+    currentImageData = image.imageData;
+    screenshotImage.src = image.imageData;
+    
+    imageStrip.querySelectorAll('.strip-item').forEach((button, i) => {
+        button.classList.toggle('active', i === index);
+    });
+    
+    if (index === 0) {
+        updateImageInfo();
+    } else {
+        imageInfo.textContent = image.width
+            ? `${image.label} • ${image.width}×${image.height}`
+            : image.label;
+    }
+}
+
 /**
  * Update image information display
  */
@@ -210,6 +314,7 @@ function fitToScreen() {
 function updateImageTransform() {
     const transform = `translate(${imagePosition.x}px, ${imagePosition.y}px) scale(${currentZoom})`;
     screenshotImage.style.transform = transform;
+    syncCompareOverlay();
 }
 
 function updateZoomDisplay() {
@@ -318,22 +423,48 @@ async function downloadImage() {
     
     try {
         const format = exportFormat.value;
-        const filename = generateFilename(format);
         
-        let dataUrl = currentImageData;
+        // A tiled capture is one screenshot, so save every tile in order;
+        // an image set (widths, color schemes) saves every image
+        const tileCount = currentMetadata?.capture?.tiles?.length || 0;
+        const isImageSet = currentMetadata?.capture?.imageSet === true;
+        let downloads;
+        if (tileCount > 1) {
+            downloads = currentImages.slice(0, tileCount).map((image, index) => ({
+                imageData: image.imageData,
+                filename: generateFilename(format, `-tile-${index + 1}`)
+            }));
+        } else if (isImageSet) {
+            downloads = currentImages.map(image => ({
+                imageData: image.imageData,
+                filename: generateFilename(format, image.suffix || '')
+            }));
+        } else {
+            downloads = [{ imageData: currentImageData, filename: generateFilename(format) }];
+        }
         
-        // Convert format if needed
-        if (format !== 'png') {
-            dataUrl = await convertImageFormat(currentImageData, format);
+        for (const download of downloads) {
+            let dataUrl = download.imageData;
+            
+            // Convert format if needed
+            if (format !== 'png') {
+                dataUrl = await convertImageFormat(download.imageData, format);
+            }
+            
+            // Create download link
+            const link = document.createElement('a');
+            link.download = download.filename;
+            link.href = dataUrl;
+            link.click();
         }
         
-        // Create download link
-        const link = document.createElement('a');
-        link.download = filename;
-        link.href = dataUrl;
-        link.click();
+        // The page source goes next to the images, under the capture's base name
+        if (currentPageSource) {
+            downloadPageSource();
+        }
         
-        showSuccess('Image downloaded successfully');
+        const unit = isImageSet ? 'images' : 'tiles';
+        showSuccess(downloads.length > 1 ? `${downloads.length} ${unit} downloaded successfully` : 'Image downloaded successfully');
         
     } catch (error) {
         console.error('Download failed:', error);
@@ -341,6 +472,23 @@ async function downloadImage() {
     }
 }
 
+/**
+ * Save the page source captured with the screenshot
+ */
+function downloadPageSource() {
+    const { format, content } = currentPageSource;
+    const type = format === 'mhtml' ? 'multipart/related' : 'text/html';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    
+    const link = document.createElement('a');
+    link.download = generateFilename(format);
+    link.href = url;
+    link.click();
+    
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 async function copyToClipboard() {
     if (!currentImageData) return;
     
@@ -373,16 +521,284 @@ function openEditor() {
     });
 }
 
+/**
+ * Comparison with an earlier capture
+ */
+function toggleComparePanel() {
+    if (comparePanel.classList.contains('hidden')) {
+        comparePanel.classList.remove('hidden');
+        loadCompareSources();
+    } else {
+        closeCompare();
+    }
+}
+
+/**
+ * List earlier captures from the history, those of the same page first,
+ * and compare with the latest of them right away
+ */
+async function loadCompareSources() {
+    const { captureHistory = [] } = await chrome.storage.local.get('captureHistory');
+    const candidates = captureHistory.filter(entry => entry.success && entry.filename !== currentMetadata?.filename);
+    const samePage = candidates.filter(entry => entry.url === currentMetadata?.url);
+    const otherPages = candidates.filter(entry => entry.url !== currentMetadata?.url);
+    
+    compareSource.innerHTML = '';
+    
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = candidates.length ? 'Choose a capture...' : 'No earlier captures in the history';
+    compareSource.appendChild(placeholder);
+    
+    [['Same page', samePage], ['Other pages', otherPages]].forEach(([label, entries]) => {
+        if (entries.length === 0) return;
+        
+        const group = document.createElement('optgroup');
+        group.label = label;
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${new Date(entry.timestamp).toLocaleString()} • ${entry.title || entry.url}`;
+            group.appendChild(option);
+        });
+        compareSource.appendChild(group);
+    });
+    
+    if (samePage.length > 0 && !compareResult) {
+        compareSource.value = samePage[0].id;
+        await compareWithHistoryEntry(samePage[0].id);
+    }
+}
+
+async function compareWithHistoryEntry(id) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getHistoryEntry', id });
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to load capture');
+        }
+        
+        await runComparison(response.data.imageData);
+    } catch (error) {
+        console.error('Compare failed:', error);
+        showError(error.message);
+    }
+}
+
+async function compareWithFile() {
+    const file = compareFile.files[0];
+    if (!file) return;
+    
+    compareSource.value = '';
+    if (compareObjectUrl) {
+        URL.revokeObjectURL(compareObjectUrl);
+    }
+    compareObjectUrl = URL.createObjectURL(file);
+    compareFile.value = '';
+    
+    try {
+        await runComparison(compareObjectUrl);
+    } catch (error) {
+        console.error('Compare failed:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Diff an earlier image against the one on screen and show the result
+ */
+async function runComparison(earlierSrc) {
+    compareSummary.textContent = 'Comparing...';
+    regionList.innerHTML = '';
+    
+    const [earlier, current] = await Promise.all([loadImage(earlierSrc), loadImage(currentImageData)]);
+    
+    // Let the status paint before the pixel loop blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    compareImage = earlier;
+    compareResult = new ImageDiff().compare(getImageData(earlier), getImageData(current));
+    selectedRegion = -1;
+    
+    renderCompareSummary();
+    drawCompareOverlay();
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image for comparison'));
+        img.src = src;
+    });
+}
+
+function getImageData(img) {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function renderCompareSummary() {
+    const { mismatch, changedPixels, regions } = compareResult;
+    const current = screenshotImage;
+    
+    compareSummary.innerHTML = '';
+    
+    const headline = document.createElement('strong');
+    headline.textContent = changedPixels === 0 ? 'No differences' : `${mismatch.toFixed(2)}% changed`;
+    compareSummary.appendChild(headline);
+    
+    const details = document.createElement('div');
+    details.textContent = `Earlier ${compareImage.naturalWidth}×${compareImage.naturalHeight} • ` +
+        `Current ${current.naturalWidth}×${current.naturalHeight}`;
+    if (compareImage.naturalWidth !== current.naturalWidth || compareImage.naturalHeight !== current.naturalHeight) {
+        details.textContent += ' • Sizes differ, the extra area counts as changed';
+    }
+    compareSummary.appendChild(details);
+    
+    if (regions.length > 0) {
+        const count = document.createElement('div');
+        count.textContent = `${regions.length} changed region${regions.length === 1 ? '' : 's'}, largest first:`;
+        compareSummary.appendChild(count);
+    }
+    
+    regionList.innerHTML = '';
+    regions.forEach((region, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'region-item';
+        button.textContent = `#${index + 1} • ${region.width}×${region.height} at ${region.x}, ${region.y}`;
+        button.addEventListener('click', () => focusRegion(index));
+        item.appendChild(button);
+        regionList.appendChild(item);
+    });
+}
+
+/**
+ * Draw the overlay for the current view: the diff with region boxes, or the earlier image
+ */
+function drawCompareOverlay() {
+    if (!compareResult) return;
+    
+    const { width, height, overlay, regions } = compareResult;
+    compareCanvas.width = width;
+    compareCanvas.height = height;
+    const ctx = compareCanvas.getContext('2d');
+    
+    if (compareView === 'diff') {
+        ctx.putImageData(overlay, 0, 0);
+        
+        const lineWidth = Math.max(2, Math.round(width / 400));
+        regions.forEach((region, index) => {
+            const selected = index === selectedRegion;
+            ctx.strokeStyle = selected ? '#007bff' : 'rgba(255, 0, 64, 0.8)';
+            ctx.lineWidth = selected ? lineWidth * 2 : lineWidth;
+            ctx.strokeRect(region.x, region.y, region.width, region.height);
+        });
+    } else {
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(compareImage, 0, 0);
+    }
+    
+    compareCanvas.classList.remove('hidden');
+    applyCompareView();
+}
+
+function setCompareView(view) {
+    compareView = view;
+    document.querySelectorAll('[data-compare-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.compareView === view);
+    });
+    drawCompareOverlay();
+    applyCompareView();
+}
+
+/**
+ * Slider shows the earlier capture left of the split, onion skin blends it over the current one
+ */
+function applyCompareView() {
+    const amount = Number(compareAmount.value);
+    compareAmount.classList.toggle('hidden', compareView === 'diff');
+    
+    compareCanvas.style.clipPath = compareView === 'slider' ? `inset(0 ${100 - amount}% 0 0)` : 'none';
+    compareCanvas.style.opacity = compareView === 'onion' ? amount / 100 : 1;
+}
+
+/**
+ * Keep the overlay on top of the screenshot through zooming and panning
+ */
+function syncCompareOverlay() {
+    if (!compareResult || !screenshotImage.naturalWidth) return;
+    
+    const scale = screenshotImage.offsetWidth / screenshotImage.naturalWidth;
+    compareCanvas.style.left = `${screenshotImage.offsetLeft}px`;
+    compareCanvas.style.top = `${screenshotImage.offsetTop}px`;
+    compareCanvas.style.width = `${compareResult.width * scale}px`;
+    compareCanvas.style.height = `${compareResult.height * scale}px`;
+    compareCanvas.style.transformOrigin = `${screenshotImage.offsetWidth / 2}px ${screenshotImage.offsetHeight / 2}px`;
+    compareCanvas.style.transform = screenshotImage.style.transform;
+}
+
+/**
+ * Highlight a changed region and pan it to the middle of the view
+ */
+function focusRegion(index) {
+    const region = compareResult.regions[index];
+    selectedRegion = index;
+    
+    regionList.querySelectorAll('.region-item').forEach((button, i) => {
+        button.classList.toggle('active', i === index);
+    });
+    
+    if (compareView !== 'diff') {
+        setCompareView('diff');
+    } else {
+        drawCompareOverlay();
+    }
+    
+    const scale = screenshotImage.offsetWidth / screenshotImage.naturalWidth;
+    imagePosition = {
+        x: -(region.x + region.width / 2 - screenshotImage.naturalWidth / 2) * scale * currentZoom,
+        y: -(region.y + region.height / 2 - screenshotImage.naturalHeight / 2) * scale * currentZoom
+    };
+    updateImageTransform();
+}
+
+function closeCompare() {
+    if (!comparePanel) return;
+    
+    comparePanel.classList.add('hidden');
+    compareCanvas.classList.add('hidden');
+    compareResult = null;
+    compareImage = null;
+    selectedRegion = -1;
+    compareSummary.textContent = 'Choose a capture to compare with';
+    regionList.innerHTML = '';
+    
+    if (compareObjectUrl) {
+        URL.revokeObjectURL(compareObjectUrl);
+        compareObjectUrl = null;
+    }
+}
+
 /**
  * Utility functions
  */
-function generateFilename(format) {
+function generateFilename(format, suffix = '') {
+    // The name the capture got from the filename template, shared by every file saved for it
+    if (currentMetadata?.filename) {
+        return `${currentMetadata.filename.replace(/\.[^.]+$/, '')}${suffix}.${format}`;
+    }
+    
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('.')[0];
     const title = currentMetadata?.title ? 
         currentMetadata.title.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30) : 
         'screenshot';
     
-    return `${title}-${timestamp}.${format}`;
+    return `${title}-${timestamp}${suffix}.${format}`;
 }
 
 async function convertImageFormat(dataUrl, format) {
@@ -428,7 +844,7 @@ function hideLoading() {
 }
 
 function enableControls() {
-    const controls = [zoomInBtn, zoomOutBtn, fitToScreenBtn, downloadBtn, copyBtn, editBtn];
+    const controls = [zoomInBtn, zoomOutBtn, fitToScreenBtn, downloadBtn, copyBtn, editBtn, compareBtn];
     controls.forEach(control => control.disabled = false);
 }
 